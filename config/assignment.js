@@ -0,0 +1,140 @@
+/**
+ * Request ownership: which operator works a request.
+ *
+ * Every operator used to work the same pending list and two people would
+ * pick up the same request. A request now has an owner
+ * (requests.assigned_operator_id), set one of three ways:
+ *
+ *   claim     an operator takes an unassigned request for themselves
+ *   assign    someone with assign_requests hands it to an operator (or clears it)
+ *   auto      assignment rules (assignment_rules) hand out unassigned requests
+ *             waiting on an operator (QUEUE_STATUSES), round-robin within each
+ *             rule's pool of operators
+ *
+ * Rules are evaluated by ascending priority and the FIRST active rule whose
+ * conditions all match wins (same semantics as the return policy rules).
+ * Empty conditions match everything, so a single rule with no conditions is
+ * plain round-robin over its pool; no rules means no auto-assignment.
+ *
+ *   conditions  types (return / exchange), carriers, reasons — any listed
+ *               value matches; an empty list matches all
+ *
+ * An owner keeps the request until it is released or reassigned; workload only
+ * counts requests that are still open (OPEN_STATUSES, shared with sla.js).
+ *
+ * Pure helpers only — server.js assigns, db-helpers.js stores.
+ */
+
+const { OPEN_STATUSES } = require('./sla');
+
+const REQUEST_TYPES = ['return', 'exchange'];
+
+// Unassigned requests in these statuses are handed out by the rules
+const QUEUE_STATUSES = ['pending', 'pickup_pending'];
+
+function toList(value) {
+    if (value == null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+function toIdList(value) {
+    const list = Array.isArray(value) ? value : [];
+    return [...new Set(list.map(v => parseInt(v, 10)).filter(n => Number.isInteger(n) && n > 0))];
+}
+
+// Rule row (snake_case) → { id, name, priority, isActive, conditions, operatorIds, lastOperatorId }
+function normalizeRule(row) {
+    const c = row.conditions || {};
+    return {
+        id: row.id,
+        name: row.name || 'Unnamed rule',
+        priority: Number.isFinite(Number(row.priority)) ? Number(row.priority) : 100,
+        isActive: (row.is_active ?? row.isActive) !== false,
+        conditions: {
+            types: toList(c.types),
+            carriers: toList(c.carriers),
+            reasons: toList(c.reasons)
+        },
+        operatorIds: toIdList(row.operator_ids ?? row.operatorIds),
+        lastOperatorId: row.last_operator_id ?? row.lastOperatorId ?? null
+    };
+}
+
+// Error message for an admin-submitted rule, or null when it is valid
+function validateRule(body) {
+    if (!body.name || !String(body.name).trim()) return 'Rule name is required';
+    const c = body.conditions || {};
+    const unknownType = toList(c.types).find(t => !REQUEST_TYPES.includes(t));
+    if (unknownType) return `Unknown request type: ${unknownType}`;
+    if (toIdList(body.operatorIds).length === 0) return 'Pick at least one operator';
+    if (body.priority !== undefined && body.priority !== null && body.priority !== '' && !Number.isFinite(Number(body.priority))) {
+        return 'Priority must be a number';
+    }
+    return null;
+}
+
+function listMatches(wanted, value) {
+    if (wanted.length === 0) return true;
+    return value ? wanted.includes(String(value).toLowerCase()) : false;
+}
+
+/**
+ * Does a (normalized) rule apply to this request? `carrier` is the request's
+ * return-leg carrier (null before a pickup is booked).
+ */
+function ruleMatches(rule, request, carrier) {
+    const c = rule.conditions;
+    return listMatches(c.types, request.type)
+        && listMatches(c.carriers, carrier)
+        && listMatches(c.reasons, request.reason);
+}
+
+// First active rule matching the request, or null
+function matchRule(rules, request, carrier) {
+    return rules
+        .filter(r => r.isActive)
+        .sort((a, b) => a.priority - b.priority)
+        .find(r => ruleMatches(r, request, carrier)) || null;
+}
+
+/**
+ * Next operator in the rule's rotation after `lastOperatorId`, skipping
+ * operators not in `activeIds` (banned or deleted). null when none is left.
+ */
+function nextOperator(operatorIds, lastOperatorId, activeIds) {
+    const last = operatorIds.indexOf(Number(lastOperatorId));
+    // First active operator after the last one in rule order (wrapping around)
+    for (let i = 1; i <= operatorIds.length; i++) {
+        const id = operatorIds[(last + i) % operatorIds.length];
+        if (activeIds.has(id)) return id;
+    }
+    return null;
+}
+
+/**
+ * Open requests per operator: { [operatorId]: { open, byStatus } }, from
+ * rows of { assigned_operator_id, status }.
+ */
+function countWorkload(rows) {
+    const workload = {};
+    for (const row of rows) {
+        if (!row.assigned_operator_id || !OPEN_STATUSES.includes(row.status)) continue;
+        const entry = workload[row.assigned_operator_id] || (workload[row.assigned_operator_id] = { open: 0, byStatus: {} });
+        entry.open++;
+        entry.byStatus[row.status] = (entry.byStatus[row.status] || 0) + 1;
+    }
+    return workload;
+}
+
+module.exports = {
+    REQUEST_TYPES,
+    QUEUE_STATUSES,
+    OPEN_STATUSES,
+    normalizeRule,
+    validateRule,
+    ruleMatches,
+    matchRule,
+    nextOperator,
+    countWorkload
+};
@@ -0,0 +1,299 @@
+/**
+ * Carrier adapter registry.
+ *
+ * Every shipping partner plugs in as one adapter with the same contract, and
+ * booking, fallback, tracking sync, webhooks and carrier detection only talk
+ * to carriers through this registry. Adding a carrier (Xpressbees, Blue Dart…)
+ * means writing one adapter and registering it.
+ *
+ * Adapter contract (required):
+ *   id, name
+ *   isConfigured()                          → boolean (credentials present)
+ *   createReturn(requestData, shopifyOrder) → { awbNumber, shipmentId, pickupDate }
+ *   createForward(requestData)              → raw forward order ({ shipment_id, waybill, awb_code, order_id })
+ *   track(awb, { shipmentId })              → raw tracking response | null
+ *   readTracking(raw)                       → { rawStatus, statusType, awb } | null — latest reading
+ *   extractScans(raw)                       → [{ rawStatus, statusType, location, instructions, scannedAt }], oldest first
+ *   summarizeTracking(raw)                  → { status, edd, activities, origin, destination, courierName,
+ *                                               deliveredDate, deliveredTo, trackUrl, pickupDate, packageCount } | null
+ *   cancel(awb, { shipmentId })             → { cancelled, message }
+ *   label(awb, { shipmentId })              → { url } | { pdf: Buffer }
+ *   serviceability({ pincode, warehousePincode, direction, cod, weight })
+ *                                           → { serviceable, cod, message, rate?, etaDays? }
+ *
+ * Optional:
+ *   fallback             id of the partner to try when this one fails
+ *   statusProfile        flags for mapStandardStatus (STATUS_PROFILE_FLAGS)
+ *   mapStatus(raw, type) own status mapping instead of the standard one
+ *   matchesAwb(awb)      true when an AWB has this carrier's format
+ *   matchesShipmentId(id)
+ *   verifyWebhook(req)   → { ok, configured };  parseWebhook(body) → [{ awb, rawStatus, statusType, location, scannedAt }]
+ *   reschedulePickup(awb, { shipmentId, date })
+ *                        → { rescheduled, message } — move a booked pickup to date (YYYY-MM-DD)
+ *   updatePickupContact(awb, { shipmentId, name, address, phone })
+ *                        → { updated, message } — same-pincode pickup address / phone fix
+ *   Without these, a customer's reschedule or address correction rebooks the pickup.
+ *
+ * The first registered carrier is the default (legacy rows without a carrier).
+ */
+
+const REQUIRED_METHODS = [
+    'isConfigured', 'createReturn', 'createForward', 'track', 'readTracking',
+    'extractScans', 'summarizeTracking', 'cancel', 'label', 'serviceability'
+];
+
+// Vocabulary differences mapStandardStatus honours per carrier
+const STATUS_PROFILE_FLAGS = [
+    'dtoFlow',                    // "DTO …" scans are a return pickup in progress
+    'dispatchedIsOutForDelivery', // "Dispatched" is the last-mile leg, not line-haul
+    'manifestedIsBooked',         // "Manifested" / "Not Picked" / "Open" = pickup booked
+    'undeliveredInTransit'        // StatusType UD = still en route
+];
+
+const adapters = new Map();
+
+function registerCarrier(adapter) {
+    if (!adapter || typeof adapter.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(adapter.id)) {
+        throw new Error('Carrier adapter needs a lowercase id');
+    }
+    const missing = REQUIRED_METHODS.filter(m => typeof adapter[m] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Carrier adapter "${adapter.id}" is missing: ${missing.join(', ')}`);
+    }
+    const unknownFlags = Object.keys(adapter.statusProfile || {}).filter(f => !STATUS_PROFILE_FLAGS.includes(f));
+    if (unknownFlags.length > 0) {
+        throw new Error(`Carrier adapter "${adapter.id}" has unknown status profile flags: ${unknownFlags.join(', ')}`);
+    }
+    adapters.set(adapter.id, { name: adapter.id, statusProfile: {}, ...adapter });
+    return adapters.get(adapter.id);
+}
+
+function hasCarrier(id) {
+    return adapters.has(id);
+}
+
+function getCarrier(id) {
+    const adapter = adapters.get(id);
+    if (!adapter) throw new Error(`Unknown carrier: ${id}`);
+    return adapter;
+}
+
+function listCarriers() {
+    return [...adapters.values()];
+}
+
+function carrierIds() {
+    return [...adapters.keys()];
+}
+
+function defaultCarrier() {
+    return carrierIds()[0] || null;
+}
+
+// Partner to try when `id` fails: its declared fallback, else the default
+// carrier (or, for the default itself, the next registered one)
+function fallbackFor(id) {
+    const adapter = adapters.get(id);
+    if (adapter && adapter.fallback && adapter.fallback !== id && adapters.has(adapter.fallback)) return adapter.fallback;
+    return carrierIds().find(other => other !== id) || id;
+}
+
+// Carrier mode settings: "<id>_only" or "<id>_with_fallback" for every carrier
+function carrierModes() {
+    return carrierIds().flatMap(id => [`${id}_only`, `${id}_with_fallback`]);
+}
+
+/**
+ * Primary carrier for a carrier mode setting, or a per-request override (which
+ * keeps the mode's fallback behaviour). Returns { primary, useFallback,
+ * overridden, invalidMode }; an unknown mode resolves to the default carrier
+ * with fallback.
+ */
+function resolveCarrier(carrierMode, carrierOverride = null) {
+    const mode = String(carrierMode || '');
+    const allowsFallback = mode.endsWith('_with_fallback');
+    if (carrierOverride && adapters.has(carrierOverride)) {
+        return { primary: carrierOverride, useFallback: allowsFallback, overridden: true, invalidMode: false };
+    }
+    const id = mode.replace(/_(only|with_fallback)$/, '');
+    if (!carrierModes().includes(mode) || !adapters.has(id)) {
+        return { primary: defaultCarrier(), useFallback: true, overridden: false, invalidMode: true };
+    }
+    return { primary: id, useFallback: allowsFallback, overridden: false, invalidMode: false };
+}
+
+// Carrier whose AWB format matches, or null
+function detectByAwb(awb) {
+    const awbStr = awb ? awb.toString().trim() : '';
+    if (!awbStr) return null;
+    const match = listCarriers().find(a => typeof a.matchesAwb === 'function' && a.matchesAwb(awbStr));
+    return match ? match.id : null;
+}
+
+/**
+ * Authoritative carrier detection from raw shipment fields. Used by the
+ * return leg and the forward leg so detection can't diverge between paths.
+ *   1. an explicit, registered carrier field
+ *   2. a shipment id in a carrier's format
+ *   3. a fallback reason: the booking went to the default carrier's fallback
+ *   4. an AWB in a carrier's format
+ *   5. the default carrier (backward compatibility)
+ */
+function detectCarrier({ awb = null, shipmentId = null, carrier = null, fallbackReason = null } = {}) {
+    const explicit = (carrier || '').toString().trim().toLowerCase();
+    if (adapters.has(explicit)) return explicit;
+
+    const shipStr = shipmentId ? shipmentId.toString().trim() : '';
+    if (shipStr) {
+        const match = listCarriers().find(a => typeof a.matchesShipmentId === 'function' && a.matchesShipmentId(shipStr));
+        if (match) return match.id;
+    }
+
+    if (fallbackReason) return fallbackFor(defaultCarrier());
+
+    return detectByAwb(awb) || defaultCarrier();
+}
+
+// Internal status for a carrier reading, through the carrier's own mapping or
+// the standard one with its status profile
+function mapStatus(id, rawStatus, statusType = null) {
+    const adapter = adapters.get(id);
+    if (adapter && typeof adapter.mapStatus === 'function') return adapter.mapStatus(rawStatus, statusType);
+    return mapStandardStatus(rawStatus, statusType, adapter ? adapter.statusProfile : {});
+}
+
+/**
+ * Map a carrier status string (and an optional StatusType code, e.g.
+ * Delhivery's) to an internal status enum. Comprehensive across the Shiprocket,
+ * Delhivery and Ekart vocabularies. Order matters — more specific / terminal
+ * states first. Carriers whose words mean something else declare it in their
+ * status profile (see STATUS_PROFILE_FLAGS).
+ */
+function mapStandardStatus(carrierStatus, statusType = null, profile = {}) {
+    if (!carrierStatus && !statusType) return null;
+
+    const s = (carrierStatus || '').toString().toUpperCase().trim();
+    const st = (statusType || '').toString().toUpperCase().trim();
+    const has = (...tokens) => tokens.some(t => s.includes(t));
+
+    // 1. UNDELIVERED / FAILED ATTEMPT — must precede DELIVERED because the
+    //    substring "DELIVERED" also appears inside "UNDELIVERED".
+    if (has('UNDELIVERED', 'NOT DELIVERED', 'DELIVERY FAILED', 'FAILED DELIVERY',
+            'DELIVERY ATTEMPTED', 'ATTEMPTED DELIVERY')) {
+        return { status: 'exception', shouldUpdate: false, needsNote: true };
+    }
+
+    // 2a. RTO / RETURN TO ORIGIN — the carrier aborted the shipment and is
+    //     sending the parcel back. Terminal failure in both directions: an
+    //     exchange delivery going RTO failed, and a return pickup going RTO
+    //     means the parcel is headed back to the customer. Mark 'failed' so
+    //     the request is re-dispatchable and never stuck showing
+    //     in-transit/out-for-delivery.
+    //     RTO/RT stays failed even with StatusType DL (a forward shipment
+    //     RTO-delivered back to origin is NOT a successful delivery).
+    if (st === 'RT' || has('RTO', 'RETURN TO ORIGIN', 'RETURN INITIATED',
+                           'RETURN ACCEPTED')) {
+        return { status: 'failed', shouldUpdate: true, terminal: true, needsNote: true };
+    }
+
+    // 2b. DTO (return pickup) flow in progress — note-only here.
+    //     The flow terminates with status "DTO" + StatusType "DL", meaning the
+    //     return parcel was DELIVERED back to the warehouse — that's terminal
+    //     success, so let rule 4 map it.
+    if (profile.dtoFlow && s.includes('DTO') && !s.includes('DELIVERED') && st !== 'DL') {
+        return { status: 'exception', shouldUpdate: false, needsNote: true };
+    }
+
+    // 3a. CANCELLED — the carrier cancelled the shipment (e.g. pickup
+    //     cancelled on the carrier dashboard). Terminal: the platform must
+    //     never keep showing out-for-delivery/in-transit for a cancelled
+    //     waybill. Delhivery also reports cancellations via StatusType 'CR'.
+    if (st === 'CR' || has('CANCELLED', 'CANCELED')) {
+        return { status: 'cancelled', shouldUpdate: true, terminal: true, needsNote: true };
+    }
+
+    // 3b. LOST / DAMAGED / PICKUP ERROR — hard terminal carrier failures.
+    if (has('LOST', 'DAMAGED', 'DESTROYED',
+            'PICKUP ERROR', 'PICKUP FAILED')) {
+        return { status: 'failed', shouldUpdate: true, terminal: true, needsNote: true };
+    }
+
+    // 4. TERMINAL — DELIVERED / RECEIVED AT WAREHOUSE.
+    //    Delhivery StatusType 'DL' is the authoritative delivered signal.
+    if (st === 'DL' || has('DELIVERED', 'DTO DELIVERED', 'RETURN RECEIVED',
+                           'RECEIVED AT WAREHOUSE', 'RECEIVED AT ORIGIN') ||
+        s === 'CLOSED') {
+        return { status: 'delivered', shouldUpdate: true };
+    }
+
+    // 5. OUT FOR DELIVERY — before generic in-transit. Some carriers
+    //    (Delhivery) report the last-mile leg as "Dispatched".
+    if (has('OUT FOR DELIVERY', 'OUT FOR DEL', 'OFD') ||
+        (profile.dispatchedIsOutForDelivery && has('DISPATCHED'))) {
+        return { status: 'out_for_delivery', shouldUpdate: true };
+    }
+
+    // 6. IN TRANSIT / IN NETWORK / REACHED HUB.
+    if (has('IN TRANSIT', 'IN-TRANSIT', 'INTRANSIT', 'SHIPPED', 'PENDING DELIVERY',
+            'REACHED DESTINATION', 'REACHED AT DESTINATION', 'ARRIVED AT',
+            'IN NETWORK') ||
+        (!profile.dispatchedIsOutForDelivery && has('DISPATCHED'))) {
+        return { status: 'in_transit', shouldUpdate: true };
+    }
+
+    // 7. PICKED UP BY COURIER. Delhivery StatusType 'PU' == pickup done.
+    if ((st === 'PU' && !has('NOT PICKED')) ||
+        (has('PICKED UP', 'PICKUP DONE', 'PICKUP COMPLETE', 'SHIPMENT PICKED') &&
+         !has('NOT PICKED', 'PICKUP GENERATED', 'PICKUP SCHEDULED',
+              'PICKUP CREATED', 'AWAITING'))) {
+        return { status: 'picked_up', shouldUpdate: true };
+    }
+
+    // 8. PICKUP SCHEDULED / BOOKED / MANIFESTED — booked, awaiting collection.
+    if (has('OUT FOR PICKUP', 'PICKUP SCHEDULED', 'PICKUP RESCHEDULED',
+            'PICKUP QUEUED', 'PICKUP ASSIGNED', 'PICKUP BOOKED', 'SCHEDULED') ||
+        (profile.manifestedIsBooked && (has('MANIFESTED', 'NOT PICKED') || s === 'OPEN'))) {
+        return { status: 'pickup_booked', shouldUpdate: true };
+    }
+
+    // 9. AWB / LABEL GENERATED, REGISTERED — created, awaiting carrier confirmation.
+    if (has('PICKUP GENERATED', 'AWB ASSIGNED', 'LABEL GENERATED', 'PICKUP CREATED',
+            'REGISTERED', 'MANIFEST GENERATED', 'MANIFEST UPLOADED', 'DATA RECEIVED',
+            'DATA UPLOAD', 'INFORMATION RECEIVED', 'ORDER CREATED')) {
+        return { status: 'pickup_pending', shouldUpdate: true };
+    }
+
+    // 10. In-network fallback: StatusType 'UD' (undelivered = still en route)
+    //     that did not match a more specific rule above.
+    if (profile.undeliveredInTransit && st === 'UD') {
+        return { status: 'in_transit', shouldUpdate: true };
+    }
+
+    // 11. Soft exceptions — flag for admin, but don't change the status.
+    if (has('DELAYED', 'EXCEPTION', 'ON HOLD', 'HELD', 'ADDRESS ISSUE',
+            'CONSIGNEE', 'NOT AVAILABLE', 'REFUSED', 'MISROUTED', 'REDIRECTED',
+            'REJECTED')) {
+        return { status: 'exception', shouldUpdate: false, needsNote: true };
+    }
+
+    // Unknown / unmapped — don't update.
+    return { status: null, shouldUpdate: false };
+}
+
+module.exports = {
+    REQUIRED_METHODS,
+    STATUS_PROFILE_FLAGS,
+    registerCarrier,
+    hasCarrier,
+    getCarrier,
+    listCarriers,
+    carrierIds,
+    defaultCarrier,
+    fallbackFor,
+    carrierModes,
+    resolveCarrier,
+    detectByAwb,
+    detectCarrier,
+    mapStatus,
+    mapStandardStatus
+};
@@ -0,0 +1,91 @@
+/**
+ * Returns-portal customer sessions (phone OTP).
+ *
+ * The customer proves their phone with the VerifyNow OTP flow in
+ * config/otp-service.js and gets a short-lived customer token
+ * ({ role: 'customer', phone }). With the token, lookup-order, submit,
+ * track and self-service only see orders / requests of that phone, and
+ * /api/portal/my-orders lists them all in one place.
+ *
+ * Without a token the portal still takes order number + email / phone,
+ * unless portal_otp_required is on.
+ *
+ * Pure helpers only — server.js issues and checks the tokens.
+ */
+
+const CUSTOMER_TOKEN_TTL = '30m';
+const CUSTOMER_TOKEN_TTL_SECONDS = 30 * 60;
+
+// Last 10 digits of an Indian mobile, or null
+function phoneKey(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function samePhone(a, b) {
+    const key = phoneKey(a);
+    return !!key && key === phoneKey(b);
+}
+
+// Is the phone on the Shopify order (customer, shipping or billing)?
+function orderBelongsToPhone(order, phone) {
+    if (!order) return false;
+    return [order.customer?.phone, order.shipping_address?.phone, order.billing_address?.phone, order.phone]
+        .some(p => samePhone(p, phone));
+}
+
+function requestBelongsToPhone(request, phone) {
+    return !!request && samePhone(request.customerPhone, phone);
+}
+
+/**
+ * One row per order for the "my orders" list, newest first:
+ * { orderNumber, orderDate, totalAmount, fulfillmentStatus, itemCount, requests[] }.
+ * Orders known only from a request (no longer found in Shopify) are listed too.
+ */
+function portalOrders(shopifyOrders, requests) {
+    const bare = name => String(name || '').replace(/^#/, '');
+    const requestsByOrder = new Map();
+    for (const r of requests) {
+        const key = bare(r.orderNumber);
+        if (!requestsByOrder.has(key)) requestsByOrder.set(key, []);
+        requestsByOrder.get(key).push({
+            requestId: r.requestId,
+            type: r.type,
+            status: r.status,
+            awbNumber: r.awbNumber || null,
+            createdAt: r.createdAt
+        });
+    }
+
+    const rows = shopifyOrders.map(o => ({
+        orderNumber: o.name,
+        orderDate: o.created_at,
+        totalAmount: o.total_price,
+        fulfillmentStatus: o.fulfillment_status || 'unfulfilled',
+        itemCount: (o.line_items || []).reduce((sum, li) => sum + (li.quantity || 0), 0),
+        requests: requestsByOrder.get(bare(o.name)) || []
+    }));
+    const listed = new Set(rows.map(row => bare(row.orderNumber)));
+    for (const [key, orderRequests] of requestsByOrder) {
+        if (listed.has(key)) continue;
+        rows.push({
+            orderNumber: `#${key}`,
+            orderDate: orderRequests[orderRequests.length - 1].createdAt,
+            totalAmount: null,
+            fulfillmentStatus: null,
+            itemCount: null,
+            requests: orderRequests
+        });
+    }
+    return rows.sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+}
+
+module.exports = {
+    CUSTOMER_TOKEN_TTL,
+    CUSTOMER_TOKEN_TTL_SECONDS,
+    phoneKey,
+    orderBelongsToPhone,
+    requestBelongsToPhone,
+    portalOrders
+};
@@ -41,6 +41,27 @@ async function createRequest(requestData) {
         carrier_fallback_reason: requestData.carrierFallbackReason || null
     };
 
+    // Chain columns only when set, so plain requests still insert before the
+    // request chains migration has been applied
+    if (requestData.parentRequestId) {
+        row.parent_request_id = requestData.parentRequestId;
+        row.root_request_id = requestData.rootRequestId || requestData.parentRequestId;
+        row.chain_depth = requestData.chainDepth || 1;
+    }
+    // Same for the store credit choice (store credit wallet migration)
+    if (requestData.refundPreference === 'store_credit') {
+        row.refund_preference = 'store_credit';
+        row.store_credit_bonus_percent = requestData.storeCreditBonusPercent || 0;
+    }
+    // Same for the exchange price difference (exchange price difference migration)
+    if (requestData.exchangeAmountDue > 0) row.exchange_amount_due = requestData.exchangeAmountDue;
+    if (requestData.exchangeSurplus > 0) row.exchange_surplus = requestData.exchangeSurplus;
+    // Same for out-of-stock fallbacks (stock fallbacks migration)
+    if (requestData.stockResolution) {
+        row.stock_resolution = requestData.stockResolution;
+        row.stock_resolution_details = requestData.stockResolutionDetails || null;
+    }
+
     let { data, error } = await supabase
         .from('requests')
         .insert([row])
@@ -112,28 +133,125 @@ async function getRequestsByOrderNumber(orderNumber) {
 }
 
 /**
- * Get all requests with optional filters
+ * Request IDs already holding this Razorpay payment id — a payment pays for
+ * one request only.
  */
-async function getAllRequests(filters = {}) {
-    let query = supabase.from('requests').select('*', { count: 'exact' });
+async function getRequestIdsByPaymentId(paymentId) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('request_id')
+        .eq('payment_id', paymentId);
+
+    if (error) throw error;
+    return (data || []).map(row => row.request_id);
+}
+
+/**
+ * Find the request a carrier waybill belongs to, on either leg.
+ * Returns { request, leg: 'return' | 'forward' } or null. Used by the carrier
+ * push webhooks, which only know the AWB.
+ */
+async function getRequestByAwb(awb) {
+    const awbStr = (awb || '').toString().trim();
+    // Waybills are alphanumeric; anything else can't be a match and must not reach the filter string
+    if (!awbStr || !/^[A-Za-z0-9-]+$/.test(awbStr)) return null;
+
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .or(`awb_number.eq.${awbStr},carrier_awb.eq.${awbStr},forward_awb_number.eq.${awbStr}`)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    const row = data && data[0];
+    if (!row) return null;
+
+    const leg = row.forward_awb_number === awbStr && row.awb_number !== awbStr && row.carrier_awb !== awbStr
+        ? 'forward'
+        : 'return';
+    return { request: convertFromSnakeCase(row), leg };
+}
+
+/**
+ * Insert carrier scan events, skipping any already stored (event_key is unique).
+ * Rows come in camelCase from persistScanHistory. Returns the number written.
+ */
+async function recordScanEvents(events) {
+    if (!events || events.length === 0) return 0;
+
+    const rows = events.map(e => ({
+        event_key: e.eventKey,
+        request_id: e.requestId,
+        leg: e.leg,
+        awb: e.awb,
+        carrier: e.carrier,
+        raw_status: e.rawStatus || null,
+        status_type: e.statusType || null,
+        mapped_status: e.mappedStatus || null,
+        location: e.location || null,
+        instructions: e.instructions || null,
+        scanned_at: e.scannedAt,
+        source: e.source || 'poll'
+    }));
+
+    const { data, error } = await supabase
+        .from('shipment_scan_events')
+        .upsert(rows, { onConflict: 'event_key', ignoreDuplicates: true })
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+}
 
+/**
+ * Full scan log for a request (both legs), oldest first
+ */
+async function getScanEventsForRequest(requestId) {
+    const { data, error } = await supabase
+        .from('shipment_scan_events')
+        .select('leg, awb, carrier, raw_status, status_type, mapped_status, location, instructions, scanned_at, source')
+        .eq('request_id', requestId)
+        .order('scanned_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+        leg: row.leg,
+        awb: row.awb,
+        carrier: row.carrier,
+        rawStatus: row.raw_status,
+        statusType: row.status_type,
+        mappedStatus: row.mapped_status,
+        location: row.location,
+        instructions: row.instructions,
+        scannedAt: row.scanned_at,
+        source: row.source
+    }));
+}
+
+// Status / type / carrier / SLA / search filters of the admin requests list
+function applyRequestFilters(query, filters) {
     if (filters.status) {
         query = query.eq('status', filters.status);
     }
 
-    if (filters.type) {
-        query = query.eq('type', filters.type);
+    if (filters.sla === 'breached') {
+        query = query.not('sla_breached_at', 'is', null);
     }
 
-    if (filters.date) {
-        const startDate = new Date(filters.date);
-        startDate.setHours(0, 0, 0, 0);
+    // Owner: an operator id, or 'unassigned'; openStatuses narrows a queue to open work
+    if (filters.assignee === 'unassigned') {
+        query = query.is('assigned_operator_id', null);
+    } else if (filters.assignee) {
+        query = query.eq('assigned_operator_id', filters.assignee);
+    }
 
-        const endDate = new Date(filters.date);
-        endDate.setHours(23, 59, 59, 999);
+    if (filters.openStatuses && !filters.status) {
+        query = query.in('status', filters.openStatuses);
+    }
 
-        query = query.gte('created_at', startDate.toISOString())
-            .lte('created_at', endDate.toISOString());
+    if (filters.type) {
+        query = query.eq('type', filters.type);
     }
 
     if (filters.carrier) {
@@ -147,6 +265,26 @@ async function getAllRequests(filters = {}) {
         query = query.or(`request_id.ilike.%${searchTerm}%,order_number.ilike.%${searchTerm}%,customer_name.ilike.%${searchTerm}%,customer_email.ilike.%${searchTerm}%,customer_phone.ilike.%${searchTerm}%`);
     }
 
+    return query;
+}
+
+/**
+ * Get all requests with optional filters
+ */
+async function getAllRequests(filters = {}) {
+    let query = applyRequestFilters(supabase.from('requests').select('*', { count: 'exact' }), filters);
+
+    if (filters.date) {
+        const startDate = new Date(filters.date);
+        startDate.setHours(0, 0, 0, 0);
+
+        const endDate = new Date(filters.date);
+        endDate.setHours(23, 59, 59, 999);
+
+        query = query.gte('created_at', startDate.toISOString())
+            .lte('created_at', endDate.toISOString());
+    }
+
     query = query.order('created_at', { ascending: false });
 
     // Ensure pagination defaults
@@ -267,9 +405,10 @@ async function getRequestStats() {
 
 /**
  * Overwrite core submission data on an existing request (used when resubmitting a waiting_payment request)
- * Preserves the REQ ID — does NOT create a new record.
+ * Preserves the REQ ID — does NOT create a new record. With expectedStatus the
+ * row only changes while it still has that status (null when it moved on).
  */
-async function updateRequestData(requestId, data) {
+async function updateRequestData(requestId, data, { expectedStatus = null } = {}) {
     const updateData = {
         type: data.type,
         reason: data.reason,
@@ -294,18 +433,75 @@ async function updateRequestData(requestId, data) {
         agent_notes: data.agentNotes || null,
         updated_at: new Date().toISOString()
     };
+    if (data.parentRequestId) {
+        updateData.parent_request_id = data.parentRequestId;
+        updateData.root_request_id = data.rootRequestId || data.parentRequestId;
+        updateData.chain_depth = data.chainDepth || 1;
+    }
+    if (data.refundPreference === 'store_credit') {
+        updateData.refund_preference = 'store_credit';
+        updateData.store_credit_bonus_percent = data.storeCreditBonusPercent || 0;
+    }
+    if (data.exchangeAmountDue > 0 || data.exchangeSurplus > 0) {
+        updateData.exchange_amount_due = data.exchangeAmountDue || 0;
+        updateData.exchange_surplus = data.exchangeSurplus || 0;
+    }
+    if (data.stockResolution) {
+        updateData.stock_resolution = data.stockResolution;
+        updateData.stock_resolution_details = data.stockResolutionDetails || null;
+    }
 
-    const { data: row, error } = await supabase
+    let query = supabase
         .from('requests')
         .update(updateData)
-        .eq('request_id', requestId)
-        .select()
-        .single();
+        .eq('request_id', requestId);
+    if (expectedStatus) query = query.eq('status', expectedStatus);
+    const { data: row, error } = await query.select().single();
 
-    if (error) throw error;
+    if (error) {
+        if (expectedStatus && error.code === 'PGRST116') return null;
+        throw error;
+    }
     return convertFromSnakeCase(row);
 }
 
+const orderClaimKey = orderNumber => String(orderNumber || '').trim().replace(/^#/, '').toUpperCase();
+
+/**
+ * Take the order's submission lock (order_claim_locks) unless another
+ * submission holds it and took it after `staleBefore`. Returns the lock token
+ * for releaseOrderItems, or null when it is held.
+ */
+async function claimOrderItems(orderNumber, staleBefore) {
+    const key = orderClaimKey(orderNumber);
+    const claimedAt = new Date().toISOString();
+    const { error } = await supabase
+        .from('order_claim_locks')
+        .insert([{ order_number: key, claimed_at: claimedAt }]);
+    if (!error) return claimedAt;
+    if (error.code !== '23505') throw error;
+
+    // Held: take it over only from a crashed submission
+    const { data, error: takeoverError } = await supabase
+        .from('order_claim_locks')
+        .update({ claimed_at: claimedAt })
+        .eq('order_number', key)
+        .lt('claimed_at', staleBefore)
+        .select('order_number');
+    if (takeoverError) throw takeoverError;
+    return data && data[0] ? claimedAt : null;
+}
+
+/** Drop the lock, unless a later submission has taken it over since */
+async function releaseOrderItems(orderNumber, token) {
+    const { error } = await supabase
+        .from('order_claim_locks')
+        .delete()
+        .eq('order_number', orderClaimKey(orderNumber))
+        .eq('claimed_at', token);
+    if (error) throw error;
+}
+
 /**
  * Update request status (approve/reject)
  */
@@ -347,6 +543,9 @@ async function updateRequestStatus(requestId, updates) {
     if (updates.forwardAwbNumber) updateData.forward_awb_number = updates.forwardAwbNumber;
     if (updates.forwardStatus) updateData.forward_status = updates.forwardStatus;
     if (updates.forwardCarrier) updateData.forward_carrier = updates.forwardCarrier;
+    if (updates.forwardDeliveredAt) updateData.forward_delivered_at = updates.forwardDeliveredAt;
+    if (updates.forwardDispatchedAt) updateData.forward_dispatched_at = updates.forwardDispatchedAt;
+    if (updates.exchangeOrderId) updateData.exchange_order_id = updates.exchangeOrderId;
 
     // Carrier Tracking
     if (updates.carrier !== undefined) updateData.carrier = updates.carrier;
@@ -366,6 +565,24 @@ async function updateRequestStatus(requestId, updates) {
     if (updates.whatsappSentAt !== undefined) updateData.whatsapp_sent_at = updates.whatsappSentAt;
     if (updates.whatsappError !== undefined) updateData.whatsapp_error = updates.whatsappError;
 
+    // Out-of-stock fallback (a lapsed waitlist turns the exchange into a return)
+    if (updates.stockResolution !== undefined) updateData.stock_resolution = updates.stockResolution;
+    if (updates.stockResolutionDetails !== undefined) updateData.stock_resolution_details = updates.stockResolutionDetails;
+    if (updates.type !== undefined) updateData.type = updates.type;
+    if (updates.items !== undefined) updateData.items = updates.items;
+    if (updates.refundPreference !== undefined) updateData.refund_preference = updates.refundPreference;
+    if (updates.storeCreditBonusPercent !== undefined) updateData.store_credit_bonus_percent = updates.storeCreditBonusPercent;
+
+    // Customer self-service (pickup reschedule / address correction)
+    if (updates.customerPhone !== undefined) updateData.customer_phone = updates.customerPhone;
+    if (updates.pickupAddress !== undefined) updateData.pickup_address = updates.pickupAddress;
+    if (updates.selfServiceChanges !== undefined) updateData.self_service_changes = updates.selfServiceChanges;
+    if (updates.pickupRebookOn !== undefined) updateData.pickup_rebook_on = updates.pickupRebookOn;
+
+    // Open carrier exception (SLA tracking); null clears it
+    if (updates.carrierExceptionAt !== undefined) updateData.carrier_exception_at = updates.carrierExceptionAt;
+    if (updates.carrierException !== undefined) updateData.carrier_exception = updates.carrierException;
+
     if (Object.keys(updateData).length === 0) return null;
 
     const { data, error } = await supabase
@@ -429,6 +646,29 @@ function convertFromSnakeCase(data) {
         forwardAwbNumber: data.forward_awb_number,
         forwardStatus: data.forward_status,
         forwardCarrier: data.forward_carrier,
+        forwardDeliveredAt: data.forward_delivered_at || null,
+        forwardDispatchedAt: data.forward_dispatched_at || null,
+        exchangeOrderId: data.exchange_order_id || null,
+        parentRequestId: data.parent_request_id || null,
+        rootRequestId: data.root_request_id || null,
+        chainDepth: data.chain_depth || 0,
+        refundPreference: data.refund_preference || 'original',
+        storeCreditBonusPercent: data.store_credit_bonus_percent != null ? Number(data.store_credit_bonus_percent) : null,
+        exchangeAmountDue: Number(data.exchange_amount_due) || 0,
+        exchangeSurplus: Number(data.exchange_surplus) || 0,
+        stockResolution: data.stock_resolution || null,
+        stockResolutionDetails: data.stock_resolution_details || null,
+        pickupAddress: data.pickup_address || null,
+        selfServiceChanges: data.self_service_changes || [],
+        pickupRebookOn: data.pickup_rebook_on || null,
+        statusChangedAt: data.status_changed_at || null,
+        carrierExceptionAt: data.carrier_exception_at || null,
+        carrierException: data.carrier_exception || null,
+        slaBreachedAt: data.sla_breached_at || null,
+        slaBreach: data.sla_breach || null,
+        assignedOperatorId: data.assigned_operator_id || null,
+        assignedAt: data.assigned_at || null,
+        assignedBy: data.assigned_by || null,
         carrier: data.carrier,
         carrierShipmentId: data.carrier_shipment_id,
         carrierAwb: data.carrier_awb,
@@ -850,10 +1090,16 @@ module.exports = {
     createRequest,
     getRequestById,
     getRequestsByOrderNumber,
+    getRequestIdsByPaymentId,
+    getRequestByAwb,
+    recordScanEvents,
+    getScanEventsForRequest,
     getAllRequests,
     getRequestStats,
     updateRequestStatus,
     updateRequestData,
+    claimOrderItems,
+    releaseOrderItems,
     saveAgentNotes,
     deleteRequests,
     getSetting,
@@ -924,7 +1170,122 @@ module.exports = {
     deleteOperator,
     touchOperatorLogin,
     logOperatorActivity,
-    getOperatorActivityLogs
+    getOperatorActivityLogs,
+
+    // Return Policy Rules
+    listReturnPolicyRules,
+    createReturnPolicyRule,
+    updateReturnPolicyRule,
+    deleteReturnPolicyRule,
+    // Refund Ledger
+    createRefundRecord,
+    claimRequestRefund,
+    releaseRequestRefund,
+    updateRefundRecord,
+    getRefundRecord,
+    getRefundsForRequest,
+    listRefunds,
+    // Store Credit Wallet
+    findStoreCreditAccount,
+    getStoreCreditAccountById,
+    createStoreCreditAccount,
+    updateStoreCreditAccountIdentity,
+    setStoreCreditBalance,
+    insertStoreCreditTransaction,
+    setStoreCreditLotRemaining,
+    getStoreCreditLot,
+    getStoreCreditLots,
+    getExpiredStoreCreditLots,
+    getStoreCreditTransactions,
+    getStoreCreditTransactionsForRefund,
+    listStoreCreditAccounts,
+    // Warehouse Inspections
+    createInspection,
+    getLatestInspection,
+    getInspectionsForRequest,
+    // Inventory Restocks
+    claimRestock,
+    updateRestock,
+    getRestocksForRequest,
+    // Exchange Reservations
+    holdReservation,
+    releaseReservations,
+    convertReservations,
+    getReservationsForRequest,
+    listHeldReservations,
+    getExpiredReservations,
+    // Stock Fallbacks
+    getWaitlistedRequests,
+    // Shipment Cancellations
+    recordShipmentCancellation,
+    getShipmentCancellationById,
+    listShipmentCancellations,
+    dismissShipmentCancellation,
+    listScannedShipmentsSince,
+    getRequestsByIds,
+    listInactiveRequestsWithAwb,
+    // Dispatch Documents
+    getForwardDispatchesBetween,
+    // Self-Service Pickup Changes
+    getDuePickupRebooks,
+    // Customer Portal
+    getRequestsByCustomerPhone,
+    // Job Queue
+    enqueueJob,
+    claimJobs,
+    completeJob,
+    failJob,
+    getJobById,
+    listJobs,
+    countJobsByStatus,
+    retryJob,
+    cancelJob,
+    getJobsByIds,
+    getActiveJobRequestIds,
+
+    // Shipment Imports
+    createShipmentImport,
+    getShipmentImport,
+    listShipmentImports,
+
+    // Report Exports
+    getRequestsForExport,
+    getRefundsForExport,
+    listReportDefinitions,
+    getReportDefinition,
+    createReportDefinition,
+    updateReportDefinition,
+    deleteReportDefinition,
+    getDueReportDefinitions,
+    createReportRun,
+    listReportRuns,
+    getReportRun,
+    pruneReportRuns,
+
+    // SLA Tracking
+    getSlaCandidates,
+    setRequestSlaState,
+    listSlaRules,
+    createSlaRule,
+    updateSlaRule,
+    deleteSlaRule,
+    getOpenSlaBreaches,
+    createSlaBreach,
+    updateSlaBreach,
+    resolveSlaBreaches,
+    listSlaBreaches,
+    markSlaBreachesEscalated,
+
+    // Request Assignment
+    assignRequest,
+    getUnassignedRequests,
+    countUnassignedRequests,
+    getAssignmentWorkloadRows,
+    listAssignmentRules,
+    createAssignmentRule,
+    updateAssignmentRule,
+    deleteAssignmentRule,
+    setAssignmentRuleCursor
 };
 
 // ── Influencer Product Shipments ──
@@ -1630,3 +1991,1474 @@ async function getOperatorActivityLogs(filters = {}) {
         pagination: { page, limit, total: count || 0 }
     };
 }
+
+// ── Return Policy Rules ──
+
+const RETURN_POLICY_RULE_FIELDS = ['name', 'description', 'priority', 'is_active', 'conditions', 'eligible',
+    'allowed_types', 'window_days', 'window_mode', 'fee_waived_reasons', 'auto_approve', 'customer_message'];
+
+/** Pick the writable columns from an admin payload (accepts snake_case or camelCase keys) */
+function toReturnPolicyRuleRow(rule) {
+    const camel = k => k.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    const row = {};
+    for (const field of RETURN_POLICY_RULE_FIELDS) {
+        if (rule[field] !== undefined) row[field] = rule[field];
+        else if (rule[camel(field)] !== undefined) row[field] = rule[camel(field)];
+    }
+    return row;
+}
+
+/** All rules ordered by priority (lowest first), optionally only active ones */
+async function listReturnPolicyRules(filters = {}) {
+    let query = supabase
+        .from('return_policy_rules')
+        .select('*')
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+    if (filters.activeOnly) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function createReturnPolicyRule(rule, createdBy = null) {
+    const { data, error } = await supabase
+        .from('return_policy_rules')
+        .insert([{ ...toReturnPolicyRuleRow(rule), created_by: createdBy }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function updateReturnPolicyRule(id, updates) {
+    const { data, error } = await supabase
+        .from('return_policy_rules')
+        .update({ ...toReturnPolicyRuleRow(updates), updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function deleteReturnPolicyRule(id) {
+    const { error } = await supabase
+        .from('return_policy_rules')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw error;
+    return { success: true };
+}
+
+// ── Refund Ledger ──
+
+const REFUND_FIELDS = {
+    requestId: 'request_id', orderNumber: 'order_number', shopifyOrderId: 'shopify_order_id', kind: 'kind',
+    method: 'method', status: 'status', currency: 'currency', grossAmount: 'gross_amount',
+    restockingFee: 'restocking_fee', amount: 'amount', items: 'items', paymentId: 'payment_id',
+    providerRefundId: 'provider_refund_id', payoutDetails: 'payout_details', payoutReference: 'payout_reference',
+    failureReason: 'failure_reason', notes: 'notes', createdBy: 'created_by', processedAt: 'processed_at',
+    lastCheckedAt: 'last_checked_at', bonusDue: 'bonus_due'
+};
+
+function toRefundRow(data) {
+    const row = {};
+    for (const [key, column] of Object.entries(REFUND_FIELDS)) {
+        if (data[key] !== undefined) row[column] = data[key];
+    }
+    return row;
+}
+
+async function createRefundRecord(data) {
+    const { data: row, error } = await supabase
+        .from('request_refunds')
+        .insert([toRefundRow(data)])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return row;
+}
+
+/**
+ * Take the request's refund lock (requests.refund_claimed_at) unless another
+ * refund holds it and started after `staleBefore`. false when it is held.
+ */
+async function claimRequestRefund(requestId, staleBefore) {
+    const { data, error } = await supabase
+        .from('requests')
+        .update({ refund_claimed_at: new Date().toISOString() })
+        .eq('request_id', requestId)
+        .or(`refund_claimed_at.is.null,refund_claimed_at.lt.${staleBefore}`)
+        .select('request_id');
+    if (error) throw error;
+    return !!(data && data[0]);
+}
+
+async function releaseRequestRefund(requestId) {
+    const { error } = await supabase
+        .from('requests')
+        .update({ refund_claimed_at: null })
+        .eq('request_id', requestId);
+    if (error) throw error;
+}
+
+async function updateRefundRecord(id, updates) {
+    const { data, error } = await supabase
+        .from('request_refunds')
+        .update({ ...toRefundRow(updates), updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function getRefundRecord(id) {
+    const { data, error } = await supabase
+        .from('request_refunds')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+/** Ledger rows for one request, oldest first */
+async function getRefundsForRequest(requestId) {
+    const { data, error } = await supabase
+        .from('request_refunds')
+        .select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+/** Ledger rows across requests, newest first. filters: { status, method, open, bonusDue, limit } */
+async function listRefunds(filters = {}) {
+    let query = supabase
+        .from('request_refunds')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(filters.limit || 200);
+    if (filters.open) query = query.in('status', ['pending', 'processing']);
+    else if (filters.status) query = query.eq('status', filters.status);
+    if (filters.method) query = query.eq('method', filters.method);
+    if (filters.bonusDue) query = query.gt('bonus_due', 0);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Store Credit Wallet ──
+
+/** Wallet by customer key, phone or email (first match), or null */
+async function findStoreCreditAccount({ customerKey, phone, email }) {
+    // One .eq() lookup per identity: customer input never reaches a filter string
+    const lookups = [['customer_key', customerKey], ['phone', phone], ['email', email]].filter(([, value]) => value);
+    if (lookups.length === 0) return null;
+
+    const results = await Promise.all(lookups.map(([column, value]) => supabase
+        .from('store_credit_accounts')
+        .select('*')
+        .eq(column, value)
+        .order('created_at', { ascending: true })
+        .limit(1)));
+
+    const rows = [];
+    for (const { data, error } of results) {
+        if (error) throw error;
+        if (data && data[0]) rows.push(data[0]);
+    }
+    // Oldest wallet wins when the identities point at different ones
+    rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    return rows[0] || null;
+}
+
+async function getStoreCreditAccountById(id) {
+    const { data, error } = await supabase
+        .from('store_credit_accounts')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function createStoreCreditAccount(account) {
+    const { data, error } = await supabase
+        .from('store_credit_accounts')
+        .insert([{
+            customer_key: account.customerKey,
+            phone: account.phone || null,
+            email: account.email || null,
+            customer_name: account.customerName || null,
+            shopify_customer_id: account.shopifyCustomerId || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/** Fill in identity fields the wallet was missing (e.g. email on a phone-keyed wallet) */
+async function updateStoreCreditAccountIdentity(id, { phone, email, customerName, shopifyCustomerId }) {
+    const updates = { updated_at: new Date().toISOString() };
+    if (phone) updates.phone = phone;
+    if (email) updates.email = email;
+    if (customerName) updates.customer_name = customerName;
+    if (shopifyCustomerId) updates.shopify_customer_id = shopifyCustomerId;
+
+    const { error } = await supabase
+        .from('store_credit_accounts')
+        .update(updates)
+        .eq('id', id);
+    if (error) throw error;
+}
+
+/**
+ * Compare-and-set the wallet balance. Returns the updated row, or null when
+ * another write changed the balance first (caller re-reads and retries).
+ */
+async function setStoreCreditBalance(id, expectedBalance, { balance, creditedDelta = 0, spentDelta = 0, lifetimeCredited, lifetimeSpent }) {
+    const { data, error } = await supabase
+        .from('store_credit_accounts')
+        .update({
+            balance,
+            lifetime_credited: Number(lifetimeCredited) + creditedDelta,
+            lifetime_spent: Number(lifetimeSpent) + spentDelta,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .eq('balance', expectedBalance)
+        .select();
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+async function insertStoreCreditTransaction(txn) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .insert([{
+            account_id: txn.accountId,
+            kind: txn.kind,
+            amount: txn.amount,
+            balance_after: txn.balanceAfter,
+            remaining: txn.remaining || 0,
+            expires_at: txn.expiresAt || null,
+            request_id: txn.requestId || null,
+            refund_id: txn.refundId || null,
+            gift_card_id: txn.giftCardId || null,
+            gift_card_last_characters: txn.giftCardLastCharacters || null,
+            note: txn.note || null,
+            created_by: txn.createdBy || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Compare-and-set a lot's remaining credit: only applies while it still holds
+ * `expectedRemaining`. Returns false when another spend or expiry got there first.
+ */
+async function setStoreCreditLotRemaining(id, expectedRemaining, remaining) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .update({ remaining })
+        .eq('id', id)
+        .eq('remaining', expectedRemaining)
+        .select('id');
+    if (error) throw error;
+    return !!(data && data[0]);
+}
+
+async function getStoreCreditLot(id) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .select('id, remaining, expires_at, created_at')
+        .eq('id', id)
+        .limit(1);
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+/** Credit lots with something left to spend (expired ones included — callers filter) */
+async function getStoreCreditLots(accountId) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .select('id, remaining, expires_at, created_at')
+        .eq('account_id', accountId)
+        .gt('remaining', 0);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/** Lots past their expiry that still hold credit, across all wallets */
+async function getExpiredStoreCreditLots(now = new Date().toISOString(), limit = 500) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .select('id, account_id, remaining, expires_at, created_at')
+        .gt('remaining', 0)
+        .lte('expires_at', now)
+        .order('expires_at', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/** Wallet transactions a refund ledger row created (its credit and bonus lots) */
+async function getStoreCreditTransactionsForRefund(refundId) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .select('*')
+        .eq('refund_id', refundId);
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function getStoreCreditTransactions(accountId, limit = 50) {
+    const { data, error } = await supabase
+        .from('store_credit_transactions')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+/** Wallets for the admin list; search matches phone, email or name */
+async function listStoreCreditAccounts({ search = null, limit = 50 } = {}) {
+    let query = supabase
+        .from('store_credit_accounts')
+        .select('*')
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+    if (search) {
+        const s = String(search).replace(/[,()]/g, ' ').trim();
+        query = query.or(`phone.ilike.%${s}%,email.ilike.%${s}%,customer_name.ilike.%${s}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Warehouse Inspections ──
+
+async function createInspection({ requestId, outcome, items, notes, inspectedBy }) {
+    const { data, error } = await supabase
+        .from('request_inspections')
+        .insert([{
+            request_id: requestId,
+            outcome,
+            items,
+            notes: notes || null,
+            inspected_by: inspectedBy || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+/** Most recent inspection of a request (re-inspections supersede earlier ones), or null */
+async function getLatestInspection(requestId) {
+    const { data, error } = await supabase
+        .from('request_inspections')
+        .select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+async function getInspectionsForRequest(requestId) {
+    const { data, error } = await supabase
+        .from('request_inspections')
+        .select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Inventory Restocks ──
+
+/**
+ * Reserve the restock of one request item. Returns the pending row, or null
+ * when the item is already restocked / in flight (unique request_id +
+ * line_item_id). Failed rows, and pending rows last touched before
+ * `staleBefore` (a run that died mid-way), are re-claimed so a later run can retry them.
+ */
+async function claimRestock({ requestId, lineItemId, variantId, quantity, trigger, createdBy, staleBefore }) {
+    const { data, error } = await supabase
+        .from('request_restocks')
+        .insert([{
+            request_id: requestId,
+            line_item_id: String(lineItemId),
+            variant_id: variantId ? String(variantId) : null,
+            quantity,
+            status: 'pending',
+            trigger,
+            created_by: createdBy || null
+        }])
+        .select()
+        .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+
+    const { data: retried, error: retryError } = await supabase
+        .from('request_restocks')
+        .update({ status: 'pending', quantity, trigger, error: null, created_by: createdBy || null, updated_at: new Date().toISOString() })
+        .eq('request_id', requestId)
+        .eq('line_item_id', String(lineItemId))
+        .or(`status.eq.failed,and(status.eq.pending,updated_at.lt.${staleBefore})`)
+        .select();
+
+    if (retryError) throw retryError;
+    return (retried && retried[0]) || null;
+}
+
+async function updateRestock(id, { status, inventoryItemId, locationId, error: failure, restockedAt }) {
+    const row = { status, error: failure || null, updated_at: new Date().toISOString() };
+    if (inventoryItemId !== undefined) row.inventory_item_id = inventoryItemId;
+    if (locationId !== undefined) row.location_id = locationId;
+    if (restockedAt !== undefined) row.restocked_at = restockedAt;
+
+    const { data, error } = await supabase
+        .from('request_restocks')
+        .update(row)
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function getRestocksForRequest(requestId) {
+    const { data, error } = await supabase
+        .from('request_restocks')
+        .select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Exchange Reservations ──
+
+/**
+ * Hold a replacement variant for one exchange item. Returns the held row, or
+ * null when the item's hold is already active or converted (unique request_id
+ * + line_item_id). Released rows are re-held with the new variant/quantity.
+ */
+async function holdReservation({ requestId, lineItemId, productId, variantId, productTitle, variantTitle, quantity, expiresAt }) {
+    const row = {
+        product_id: productId || null,
+        variant_id: String(variantId),
+        product_title: productTitle || null,
+        variant_title: variantTitle || null,
+        quantity,
+        status: 'held',
+        expires_at: expiresAt || null
+    };
+    const { data, error } = await supabase
+        .from('exchange_reservations')
+        .insert([{ request_id: requestId, line_item_id: String(lineItemId), ...row }])
+        .select()
+        .single();
+
+    if (!error) return data;
+    if (error.code !== '23505') throw error;
+
+    const { data: reheld, error: reholdError } = await supabase
+        .from('exchange_reservations')
+        .update({ ...row, release_reason: null, released_at: null, updated_at: new Date().toISOString() })
+        .eq('request_id', requestId)
+        .eq('line_item_id', String(lineItemId))
+        .eq('status', 'released')
+        .select();
+
+    if (reholdError) throw reholdError;
+    return (reheld && reheld[0]) || null;
+}
+
+/**
+ * Release a request's active holds (all, or only the given row id).
+ * Returns the released rows.
+ */
+async function releaseReservations(requestId, reason, { id = null } = {}) {
+    const now = new Date().toISOString();
+    let query = supabase
+        .from('exchange_reservations')
+        .update({ status: 'released', release_reason: reason, released_at: now, updated_at: now })
+        .eq('status', 'held');
+    query = id ? query.eq('id', id) : query.eq('request_id', requestId);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data || [];
+}
+
+// Dispatch: a request's active holds became the real (replacement) order
+async function convertReservations(requestId, { shopifyOrderId = null } = {}) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('exchange_reservations')
+        .update({ status: 'converted', shopify_order_id: shopifyOrderId ? String(shopifyOrderId) : null, converted_at: now, updated_at: now })
+        .eq('request_id', requestId)
+        .eq('status', 'held')
+        .select();
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function getReservationsForRequest(requestId) {
+    const { data, error } = await supabase
+        .from('exchange_reservations')
+        .select('*')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Active holds, oldest first; optionally only for some variants
+async function listHeldReservations({ variantIds = null } = {}) {
+    let query = supabase
+        .from('exchange_reservations')
+        .select('*')
+        .eq('status', 'held')
+        .order('created_at', { ascending: true });
+    if (Array.isArray(variantIds)) {
+        if (variantIds.length === 0) return [];
+        query = query.in('variant_id', variantIds.map(String));
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function getExpiredReservations(limit = 200) {
+    const { data, error } = await supabase
+        .from('exchange_reservations')
+        .select('*')
+        .eq('status', 'held')
+        .lt('expires_at', new Date().toISOString())
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Stock Fallbacks ──
+
+// Open exchanges waiting for their replacement to be restocked
+async function getWaitlistedRequests(limit = 200) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .eq('stock_resolution', 'waitlist')
+        .eq('type', 'exchange')
+        .not('status', 'in', '(approved,rejected,cancelled,waiting_payment)')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// ── Shipment Cancellations ──
+
+/**
+ * Record the outcome of a carrier cancellation. One row per carrier + AWB:
+ * a retry updates the row and counts the attempt.
+ */
+async function recordShipmentCancellation({ requestId, leg, carrier, awb, shipmentId, reason, status, message, requestedBy }) {
+    const now = new Date().toISOString();
+    const row = {
+        request_id: requestId,
+        leg,
+        shipment_id: shipmentId ? String(shipmentId) : null,
+        reason,
+        status,
+        message: message || null,
+        requested_by: requestedBy || null,
+        cancelled_at: status === 'cancelled' ? now : null,
+        updated_at: now
+    };
+
+    const { data: existing, error: findError } = await supabase
+        .from('shipment_cancellations')
+        .select('id, attempts')
+        .eq('carrier', carrier)
+        .eq('awb', String(awb))
+        .maybeSingle();
+    if (findError) throw findError;
+
+    const query = existing
+        ? supabase.from('shipment_cancellations').update({ ...row, attempts: (existing.attempts || 0) + 1 }).eq('id', existing.id)
+        : supabase.from('shipment_cancellations').insert([{ ...row, carrier, awb: String(awb) }]);
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function getShipmentCancellationById(id) {
+    const { data, error } = await supabase
+        .from('shipment_cancellations')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+}
+
+// Newest first; optionally only one status or one request
+async function listShipmentCancellations({ status = null, requestId = null, limit = 200 } = {}) {
+    let query = supabase
+        .from('shipment_cancellations')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+    if (status) query = query.eq('status', status);
+    if (requestId) query = query.eq('request_id', requestId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function dismissShipmentCancellation(id, dismissedBy) {
+    const { data, error } = await supabase
+        .from('shipment_cancellations')
+        .update({ status: 'dismissed', requested_by: dismissedBy || null, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', 'failed')
+        .select();
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+// Distinct { request_id, leg, carrier, awb } scanned since a date, newest first
+async function listScannedShipmentsSince(since, limit = 5000) {
+    const { data, error } = await supabase
+        .from('shipment_scan_events')
+        .select('request_id, leg, carrier, awb')
+        .gte('scanned_at', since)
+        .order('scanned_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    const seen = new Set();
+    return (data || []).filter(row => {
+        const key = `${row.carrier}:${row.awb}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// Requests by id (missing ids are simply absent)
+async function getRequestsByIds(requestIds) {
+    if (!requestIds || requestIds.length === 0) return [];
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .in('request_id', requestIds);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// Rejected / cancelled requests created since a date that still carry an AWB
+async function listInactiveRequestsWithAwb(since, limit = 1000) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .in('status', ['rejected', 'cancelled'])
+        .or('awb_number.not.is.null,forward_awb_number.not.is.null')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// ── Dispatch Documents ──
+
+// Requests whose forward shipment was booked in [from, to), oldest first
+async function getForwardDispatchesBetween(from, to) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .not('forward_awb_number', 'is', null)
+        .gte('forward_dispatched_at', from)
+        .lt('forward_dispatched_at', to)
+        .order('forward_dispatched_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// ── Self-Service Pickup Changes ──
+
+// Rescheduled pickups to rebook on or before a day (YYYY-MM-DD)
+async function getDuePickupRebooks(day) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .eq('status', 'pickup_pending')
+        .lte('pickup_rebook_on', day)
+        .order('pickup_rebook_on', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// ── Customer Portal ──
+
+// Requests whose customer phone ends in these 10 digits, newest first
+async function getRequestsByCustomerPhone(phone10) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .ilike('customer_phone', `%${phone10}`)
+        .order('created_at', { ascending: false })
+        .limit(200);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// ── Job Queue ──
+
+/**
+ * Queue a job unless one with the same idempotency key is already queued or
+ * running. Returns { job, created }.
+ */
+async function enqueueJob({ type, requestId, leg, idempotencyKey, payload = {}, maxAttempts = 5, runAt = null, createdBy = null }) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .insert([{
+            type,
+            request_id: requestId,
+            leg,
+            idempotency_key: idempotencyKey,
+            payload,
+            max_attempts: maxAttempts,
+            run_at: runAt || new Date().toISOString(),
+            created_by: createdBy
+        }])
+        .select()
+        .single();
+
+    if (!error) return { job: data, created: true };
+    if (error.code !== '23505') throw error;
+
+    const { data: existing, error: existingError } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('idempotency_key', idempotencyKey)
+        .in('status', ['queued', 'running'])
+        .limit(1);
+
+    if (existingError) throw existingError;
+    return { job: (existing && existing[0]) || null, created: false };
+}
+
+// Atomically take up to `limit` due jobs for this worker (see claim_jobs in the migration)
+async function claimJobs(workerId, limit, lockSeconds) {
+    const { data, error } = await supabase.rpc('claim_jobs', {
+        p_worker: workerId,
+        p_limit: limit,
+        p_lock_seconds: lockSeconds
+    });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function completeJob(id, result) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+        .from('jobs')
+        .update({ status: 'succeeded', result: result || null, last_error: null, locked_by: null, locked_at: null, finished_at: now, updated_at: now })
+        .eq('id', id);
+
+    if (error) throw error;
+}
+
+// status 'queued' (retry at runAt) or 'dead'
+async function failJob(id, { status, runAt, error: message }) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+        .from('jobs')
+        .update({
+            status,
+            run_at: runAt || now,
+            last_error: message,
+            locked_by: null,
+            locked_at: null,
+            finished_at: status === 'dead' ? now : null,
+            updated_at: now
+        })
+        .eq('id', id);
+
+    if (error) throw error;
+}
+
+async function getJobById(id) {
+    const { data, error } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+}
+
+async function listJobs({ status = null, type = null, requestId = null, limit = 200 } = {}) {
+    let query = supabase
+        .from('jobs')
+        .select('*')
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    if (requestId) query = query.eq('request_id', requestId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+// { queued, running, dead } — succeeded / cancelled aren't worth counting
+async function countJobsByStatus() {
+    const counts = {};
+    for (const status of ['queued', 'running', 'dead']) {
+        const { count, error } = await supabase
+            .from('jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('status', status);
+        if (error) throw error;
+        counts[status] = count || 0;
+    }
+    return counts;
+}
+
+// Dead, cancelled or waiting jobs run again now with fresh attempts. Null when
+// the job isn't retryable; throws 23505 when another live job holds its key.
+async function retryJob(id, retriedBy) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('jobs')
+        .update({ status: 'queued', attempts: 0, run_at: now, finished_at: null, created_by: retriedBy || null, updated_at: now })
+        .eq('id', id)
+        .in('status', ['dead', 'cancelled', 'queued'])
+        .select();
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+async function cancelJob(id, cancelledBy) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+        .from('jobs')
+        .update({ status: 'cancelled', last_error: `Cancelled by ${cancelledBy || 'admin'}`, finished_at: now, updated_at: now })
+        .eq('id', id)
+        .eq('status', 'queued')
+        .select();
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+// Jobs by id (missing ids are simply absent)
+async function getJobsByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+    const { data, error } = await supabase
+        .from('jobs')
+        .select('*')
+        .in('id', ids);
+
+    if (error) throw error;
+    return data || [];
+}
+
+// Request ids among `requestIds` with a queued / running job of `type`
+async function getActiveJobRequestIds(type, requestIds) {
+    if (!requestIds || requestIds.length === 0) return [];
+    const { data, error } = await supabase
+        .from('jobs')
+        .select('request_id')
+        .eq('type', type)
+        .in('status', ['queued', 'running'])
+        .in('request_id', requestIds);
+
+    if (error) throw error;
+    return (data || []).map(j => j.request_id);
+}
+
+// ── Shipment Imports ──
+
+async function createShipmentImport({ fileName, carrier, mapping, rows, summary, createdBy }) {
+    const { data, error } = await supabase
+        .from('shipment_imports')
+        .insert([{
+            file_name: fileName || null,
+            carrier: carrier || null,
+            mapping,
+            rows,
+            summary,
+            created_by: createdBy || null
+        }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function getShipmentImport(id) {
+    const { data, error } = await supabase
+        .from('shipment_imports')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+}
+
+// Recent imports without their rows
+async function listShipmentImports(limit = 20) {
+    const { data, error } = await supabase
+        .from('shipment_imports')
+        .select('id, file_name, carrier, summary, created_by, created_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+}
+
+// ── Report Exports ──
+
+/**
+ * One page of requests for an export, newest first: the requests list filters
+ * plus created_at bounds ({ since, until } ISO strings, either optional).
+ */
+async function getRequestsForExport(filters, { since = null, until = null } = {}, offset = 0, limit = 1000) {
+    let query = applyRequestFilters(supabase.from('requests').select('*'), filters);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lt('created_at', until);
+
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// One page of refund ledger rows (snake_case) for an export, newest first
+async function getRefundsForExport(filters, { since = null, until = null } = {}, offset = 0, limit = 1000) {
+    let query = supabase.from('request_refunds').select('*');
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.method) query = query.eq('method', filters.method);
+    if (filters.kind) query = query.eq('kind', filters.kind);
+    if (filters.search) query = query.or(`request_id.ilike.%${filters.search}%,order_number.ilike.%${filters.search}%`);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lt('created_at', until);
+
+    const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function listReportDefinitions() {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function getReportDefinition(id) {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+}
+
+async function createReportDefinition(definition) {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .insert([definition])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function updateReportDefinition(id, updates) {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select();
+
+    if (error) throw error;
+    return (data && data[0]) || null;
+}
+
+async function deleteReportDefinition(id) {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .delete()
+        .eq('id', id)
+        .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+}
+
+// Scheduled definitions whose next run is due
+async function getDueReportDefinitions(now) {
+    const { data, error } = await supabase
+        .from('report_definitions')
+        .select('*')
+        .not('schedule', 'is', null)
+        .lte('next_run_at', now)
+        .order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+async function createReportRun(run) {
+    const { data, error } = await supabase
+        .from('report_runs')
+        .insert([run])
+        .select('id, definition_id, name, kind, format, file_name, size_bytes, row_count, status, error, created_at')
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+// Stored runs without their file, newest first
+async function listReportRuns({ definitionId = null, limit = 50 } = {}) {
+    let query = supabase
+        .from('report_runs')
+        .select('id, definition_id, name, kind, format, file_name, size_bytes, row_count, status, error, created_at')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+    if (definitionId) query = query.eq('definition_id', definitionId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+// Run with its file (base64 content)
+async function getReportRun(id) {
+    const { data, error } = await supabase
+        .from('report_runs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+}
+
+// Drop all but the newest `keep` runs of a definition
+async function pruneReportRuns(definitionId, keep) {
+    const { data, error } = await supabase
+        .from('report_runs')
+        .select('id')
+        .eq('definition_id', definitionId)
+        .order('created_at', { ascending: false })
+        .range(keep, keep + 999);
+
+    if (error) throw error;
+    const ids = (data || []).map(r => r.id);
+    if (ids.length === 0) return 0;
+
+    const { error: deleteError } = await supabase
+        .from('report_runs')
+        .delete()
+        .in('id', ids);
+
+    if (deleteError) throw deleteError;
+    return ids.length;
+}
+
+// ── SLA Tracking ──
+
+/**
+ * Requests the SLA check looks at: those in one of `statuses` plus any still
+ * flagged as breached (so they can be cleared). Paged; camelCase rows.
+ */
+async function getSlaCandidates(statuses) {
+    const rows = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+        let query = supabase.from('requests').select('*');
+        query = statuses.length > 0
+            ? query.or(`status.in.(${statuses.join(',')}),sla_breached_at.not.is.null`)
+            : query.not('sla_breached_at', 'is', null);
+        const { data, error } = await query
+            .order('id', { ascending: true })
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+    }
+    return rows.map(convertFromSnakeCase);
+}
+
+// Flag (breachedAt + rule names) or clear (nulls) a request's SLA breach
+async function setRequestSlaState(requestId, { breachedAt = null, breach = null } = {}) {
+    const { error } = await supabase
+        .from('requests')
+        .update({ sla_breached_at: breachedAt, sla_breach: breach })
+        .eq('request_id', requestId);
+
+    if (error) throw error;
+}
+
+function toSlaRuleRow(rule) {
+    const row = {};
+    if (rule.name !== undefined) row.name = String(rule.name).trim();
+    if (rule.statuses !== undefined) row.statuses = rule.statuses;
+    if (rule.carrier !== undefined) row.carrier = rule.carrier || null;
+    if (rule.since !== undefined) row.since = rule.since || 'status';
+    if (rule.hours !== undefined) row.max_hours = parseInt(rule.hours, 10);
+    if (rule.action !== undefined) row.action = rule.action || 'notify';
+    if (rule.isActive !== undefined) row.is_active = !!rule.isActive;
+    return row;
+}
+
+async function listSlaRules(filters = {}) {
+    let query = supabase
+        .from('sla_rules')
+        .select('*')
+        .order('created_at', { ascending: true });
+    if (filters.activeOnly) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function createSlaRule(rule, createdBy = null) {
+    const { data, error } = await supabase
+        .from('sla_rules')
+        .insert([{ ...toSlaRuleRow(rule), created_by: createdBy }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function updateSlaRule(id, updates) {
+    const { data, error } = await supabase
+        .from('sla_rules')
+        .update({ ...toSlaRuleRow(updates), updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function deleteSlaRule(id) {
+    const { error } = await supabase
+        .from('sla_rules')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw error;
+    return { success: true };
+}
+
+async function getOpenSlaBreaches() {
+    const { data, error } = await supabase
+        .from('sla_breaches')
+        .select('*')
+        .is('resolved_at', null)
+        .order('due_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+}
+
+// New open breach, or null when this request + rule already has one
+async function createSlaBreach(breach) {
+    const { data, error } = await supabase
+        .from('sla_breaches')
+        .insert([breach])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function updateSlaBreach(id, updates) {
+    const { error } = await supabase
+        .from('sla_breaches')
+        .update(updates)
+        .eq('id', id);
+
+    if (error) throw error;
+}
+
+async function resolveSlaBreaches(ids) {
+    if (!ids || ids.length === 0) return;
+    const { error } = await supabase
+        .from('sla_breaches')
+        .update({ resolved_at: new Date().toISOString() })
+        .in('id', ids);
+
+    if (error) throw error;
+}
+
+// Breaches newest first; open = unresolved only
+async function listSlaBreaches({ open = false, requestId = null, limit = 200 } = {}) {
+    let query = supabase
+        .from('sla_breaches')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+    if (open) query = query.is('resolved_at', null);
+    if (requestId) query = query.eq('request_id', requestId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function markSlaBreachesEscalated(ids) {
+    if (!ids || ids.length === 0) return;
+    const { error } = await supabase
+        .from('sla_breaches')
+        .update({ escalated_at: new Date().toISOString() })
+        .in('id', ids)
+        .is('escalated_at', null);
+
+    if (error) throw error;
+}
+
+// ── Request Assignment ──
+
+/**
+ * Set (operatorId) or clear (null) a request's owner. `expectOperatorId`
+ * guards against a concurrent change: null = only while unassigned, an id =
+ * only while that operator owns it, undefined = unconditional. Returns the
+ * updated request (camelCase), or null when the guard didn't hold.
+ */
+async function assignRequest(requestId, operatorId, assignedBy, expectOperatorId) {
+    let query = supabase
+        .from('requests')
+        .update({
+            assigned_operator_id: operatorId,
+            assigned_at: operatorId ? new Date().toISOString() : null,
+            assigned_by: operatorId ? assignedBy : null
+        })
+        .eq('request_id', requestId);
+    if (expectOperatorId === null) query = query.is('assigned_operator_id', null);
+    else if (expectOperatorId !== undefined) query = query.eq('assigned_operator_id', expectOperatorId);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data && data[0] ? convertFromSnakeCase(data[0]) : null;
+}
+
+// Unassigned requests in `statuses`, oldest first (auto-assignment). camelCase rows.
+async function getUnassignedRequests(statuses, limit = 500) {
+    const { data, error } = await supabase
+        .from('requests')
+        .select('*')
+        .is('assigned_operator_id', null)
+        .in('status', statuses)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+    return (data || []).map(convertFromSnakeCase);
+}
+
+// Unassigned requests in `statuses` (the auto-assignment backlog)
+async function countUnassignedRequests(statuses) {
+    const { count, error } = await supabase
+        .from('requests')
+        .select('id', { count: 'exact', head: true })
+        .is('assigned_operator_id', null)
+        .in('status', statuses);
+
+    if (error) throw error;
+    return count || 0;
+}
+
+// { assigned_operator_id, status } of assigned requests in `statuses` (workload counts). Paged.
+async function getAssignmentWorkloadRows(statuses) {
+    const rows = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase
+            .from('requests')
+            .select('assigned_operator_id, status')
+            .not('assigned_operator_id', 'is', null)
+            .in('status', statuses)
+            .order('id', { ascending: true })
+            .range(offset, offset + pageSize - 1);
+
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+    }
+    return rows;
+}
+
+function toAssignmentRuleRow(rule) {
+    const row = {};
+    if (rule.name !== undefined) row.name = String(rule.name).trim();
+    if (rule.priority !== undefined) row.priority = Number.isFinite(Number(rule.priority)) && rule.priority !== '' ? parseInt(rule.priority, 10) : 100;
+    if (rule.conditions !== undefined) row.conditions = rule.conditions || {};
+    if (rule.operatorIds !== undefined) row.operator_ids = rule.operatorIds;
+    if (rule.isActive !== undefined) row.is_active = !!rule.isActive;
+    return row;
+}
+
+async function listAssignmentRules(filters = {}) {
+    let query = supabase
+        .from('assignment_rules')
+        .select('*')
+        .order('priority', { ascending: true })
+        .order('created_at', { ascending: true });
+    if (filters.activeOnly) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+}
+
+async function createAssignmentRule(rule, createdBy = null) {
+    const { data, error } = await supabase
+        .from('assignment_rules')
+        .insert([{ ...toAssignmentRuleRow(rule), created_by: createdBy }])
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+}
+
+async function updateAssignmentRule(id, rule) {
+    const { data, error } = await supabase
+        .from('assignment_rules')
+        .update({ ...toAssignmentRuleRow(rule), updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === 'PGRST116') return null;
+        throw error;
+    }
+    return data;
+}
+
+async function deleteAssignmentRule(id) {
+    const { error } = await supabase
+        .from('assignment_rules')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw error;
+}
+
+// Round-robin cursor: the operator the rule handed a request to last
+async function setAssignmentRuleCursor(id, lastOperatorId) {
+    const { error } = await supabase
+        .from('assignment_rules')
+        .update({ last_operator_id: lastOperatorId })
+        .eq('id', id);
+
+    if (error) throw error;
+}
@@ -0,0 +1,122 @@
+/**
+ * Exchange price-difference calculations.
+ *
+ * Customers may exchange into a different product or variant with another
+ * price. Each item is worth what the customer actually paid for it
+ * (paidPrice from enrichItemsWithPaidPrice). The discount they got on the
+ * original order carries over to the replacement at the same rate:
+ *
+ *   replacementUnitPrice = replacement list price × paidPrice / originalPrice
+ *   difference           = (replacementUnitPrice − paidPrice) × quantity
+ *
+ * So a same-priced swap costs nothing, whatever coupon was used. The
+ * differences are netted over the request. A positive net is charged
+ * through Razorpay at submission (amountDue). A negative net is returned
+ * once the exchange is dispatched (surplus), to the original payment or
+ * as store credit.
+ *
+ * Pure helpers only — server.js fetches the Shopify variant prices.
+ */
+
+// Nets below this (₹) are rounding noise and are neither charged nor returned
+const MIN_SETTLEMENT = 1;
+
+const round2 = n => Math.round((Number(n) || 0) * 100) / 100;
+
+function parseItems(items) {
+    if (typeof items === 'string') { try { items = JSON.parse(items); } catch (e) { items = []; } }
+    return Array.isArray(items) ? items : [];
+}
+
+// Variant the customer gets back; null when it is the same as the original
+function replacementVariantOf(item) {
+    const id = item.replacementVariantId;
+    if (!id || id === 'Same' || String(id) === String(item.variantId)) return null;
+    return String(id);
+}
+
+/**
+ * Price every item of an exchange.
+ *
+ * items:             the request items, already enriched with paidPrice / originalPrice
+ * replacementPrices: { [variantId]: list price } from Shopify for the replacement variants
+ *
+ * Returns { items, lines[], net, amountDue, surplus, errors[] }. `items` carries
+ * replacementPrice (list), replacementUnitPrice (after the carried-over
+ * discount) and priceDifference (per line) so later steps don't re-price.
+ */
+function priceExchange(requestItems, replacementPrices) {
+    const errors = [];
+    const lines = [];
+    const items = parseItems(requestItems).map(item => {
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const paid = parseFloat(item.paidPrice);
+        const paidPrice = round2(Number.isFinite(paid) ? paid : parseFloat(item.price || 0));
+        const originalPrice = round2(parseFloat(item.originalPrice ?? item.price) || paidPrice);
+        const variantId = replacementVariantOf(item);
+
+        let listPrice = originalPrice;
+        if (variantId) {
+            const price = parseFloat((replacementPrices || {})[variantId]);
+            if (!Number.isFinite(price)) {
+                errors.push(`${item.replacementProductTitle || item.name || variantId}: replacement price unavailable`);
+                return item;
+            }
+            listPrice = round2(price);
+        }
+
+        const ratio = originalPrice > 0 ? paidPrice / originalPrice : 1;
+        const replacementUnitPrice = variantId ? round2(listPrice * ratio) : paidPrice;
+        const priceDifference = round2((replacementUnitPrice - paidPrice) * quantity);
+        lines.push({
+            lineItemId: item.id != null ? String(item.id) : null,
+            name: item.name || null,
+            replacement: item.replacementProductTitle || item.replacementVariant || null,
+            quantity,
+            paidPrice,
+            replacementPrice: listPrice,
+            replacementUnitPrice,
+            difference: priceDifference
+        });
+        return { ...item, replacementPrice: listPrice, replacementUnitPrice, priceDifference };
+    });
+
+    const net = round2(lines.reduce((s, l) => s + l.difference, 0));
+    const settled = Math.abs(net) >= MIN_SETTLEMENT ? net : 0;
+    return {
+        items,
+        lines,
+        net,
+        amountDue: settled > 0 ? settled : 0,
+        surplus: settled < 0 ? round2(-settled) : 0,
+        errors
+    };
+}
+
+/**
+ * Totals for the Shopify replacement order: lines at list price, with the
+ * carried-over discount as one fixed adjustment so the order total equals
+ * what the customer ends up paying for the replacements.
+ * Returns { subtotal, adjustment, total }.
+ */
+function replacementOrderTotals(requestItems) {
+    let subtotal = 0;
+    let total = 0;
+    for (const item of parseItems(requestItems)) {
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const list = parseFloat(item.replacementPrice ?? item.originalPrice ?? item.price) || 0;
+        const unit = parseFloat(item.replacementUnitPrice ?? item.paidPrice ?? list) || 0;
+        subtotal += list * quantity;
+        total += unit * quantity;
+    }
+    subtotal = round2(subtotal);
+    total = round2(total);
+    return { subtotal, adjustment: round2(Math.max(0, subtotal - total)), total };
+}
+
+module.exports = {
+    MIN_SETTLEMENT,
+    replacementVariantOf,
+    priceExchange,
+    replacementOrderTotals
+};
@@ -0,0 +1,139 @@
+/**
+ * Warehouse inspection (QC) outcome rules.
+ *
+ * Once a return/exchange pickup is delivered to the warehouse, staff with the
+ * inspect_returns permission record each item's condition and where it goes
+ * next (disposition). The recorded condition decides the outcome per item:
+ *
+ *   unused + tags intact  → accepted, store restocking fee
+ *   unused, tags removed  → accepted, "used item" restocking fee
+ *   used                  → accepted, "used item" restocking fee
+ *   damaged               → accepted without fee when the customer reported
+ *                           it defective, otherwise rejected
+ *   wrong_item            → rejected (not the product that was sold)
+ *
+ * Every item accepted → passed, none → failed (request rejected), else partial.
+ * Pure helpers only — server.js stores the result in request_inspections and
+ * feeds refundLimits() into the refund calculation.
+ */
+
+const ITEM_CONDITIONS = ['unused', 'used', 'damaged', 'wrong_item'];
+const DISPOSITIONS = ['restock', 'refurbish', 'write_off'];
+const OUTCOMES = ['passed', 'partial', 'failed'];
+// Customer-reported reasons that make a damaged item the store's fault
+const DAMAGE_EXPECTED_REASONS = ['defective'];
+const FEE_WAIVED_REASONS = ['defective', 'wrong_item'];
+
+const DEFAULT_DISPOSITION = { unused: 'restock', used: 'refurbish', damaged: 'write_off', wrong_item: 'write_off' };
+
+function parseItems(items) {
+    if (typeof items === 'string') { try { items = JSON.parse(items); } catch (e) { items = []; } }
+    return Array.isArray(items) ? items : [];
+}
+
+const clampPercent = n => Math.min(100, Math.max(0, Number(n) || 0));
+
+/**
+ * Validate staff input against the request's items.
+ * submitted: [{ lineItemId, condition, tagsIntact, disposition, notes }]
+ * Returns a list of error messages (empty when valid).
+ */
+function validateInspection(requestItems, submitted) {
+    const items = parseItems(requestItems);
+    const known = new Set(items.map(i => String(i.id)));
+    const errors = [];
+    if (!Array.isArray(submitted) || submitted.length === 0) return ['Record the condition of every item'];
+
+    const seen = new Set();
+    for (const entry of submitted) {
+        const id = String(entry.lineItemId);
+        if (!known.has(id)) { errors.push(`Item ${id} is not part of this request`); continue; }
+        if (seen.has(id)) errors.push(`Item ${id} was inspected twice`);
+        seen.add(id);
+        if (!ITEM_CONDITIONS.includes(entry.condition)) errors.push(`Unknown condition "${entry.condition}"`);
+        if (entry.disposition && !DISPOSITIONS.includes(entry.disposition)) errors.push(`Unknown disposition "${entry.disposition}"`);
+    }
+    for (const item of items) {
+        if (!seen.has(String(item.id))) errors.push(`${item.name || item.id}: condition not recorded`);
+    }
+    return errors;
+}
+
+/**
+ * Decide the outcome for each inspected item and the request overall.
+ *
+ * options: { reason, restockingFeePercent, usedFeePercent }
+ * Returns { outcome, items[{ lineItemId, name, quantity, condition, tagsIntact,
+ *   disposition, accepted, restockingFeePercent, decision, notes, photos }] }
+ */
+function evaluateInspection(requestItems, submitted, { reason = null, restockingFeePercent = 0, usedFeePercent = 0 } = {}) {
+    const byId = new Map(parseItems(requestItems).map(i => [String(i.id), i]));
+    const feeWaived = FEE_WAIVED_REASONS.includes(reason);
+
+    const items = submitted.map(entry => {
+        const item = byId.get(String(entry.lineItemId)) || {};
+        const tagsIntact = entry.tagsIntact !== false && entry.tagsIntact !== 'false';
+        let accepted = true;
+        let fee = feeWaived ? 0 : clampPercent(restockingFeePercent);
+        let decision;
+
+        if (entry.condition === 'wrong_item') {
+            accepted = false;
+            decision = 'Rejected — a different item was returned';
+        } else if (entry.condition === 'damaged') {
+            accepted = DAMAGE_EXPECTED_REASONS.includes(reason);
+            fee = 0;
+            decision = accepted ? 'Accepted — damage matches the reported defect' : 'Rejected — item damaged after delivery';
+        } else if (entry.condition === 'used' || !tagsIntact) {
+            fee = feeWaived ? 0 : Math.max(fee, clampPercent(usedFeePercent));
+            decision = `Accepted — ${entry.condition === 'used' ? 'used' : 'tags removed'}${fee > 0 ? `, ${fee}% restocking fee` : ''}`;
+        } else {
+            decision = `Accepted${fee > 0 ? `, ${fee}% restocking fee` : ''}`;
+        }
+
+        return {
+            lineItemId: String(entry.lineItemId),
+            name: item.name || null,
+            variant: item.variant || null,
+            quantity: parseInt(item.quantity, 10) || 1,
+            condition: entry.condition,
+            tagsIntact,
+            disposition: entry.disposition || DEFAULT_DISPOSITION[entry.condition],
+            accepted,
+            restockingFeePercent: accepted ? fee : 0,
+            decision,
+            notes: entry.notes ? String(entry.notes).trim() : null,
+            photos: Array.isArray(entry.photos) ? entry.photos : []
+        };
+    });
+
+    const acceptedCount = items.filter(i => i.accepted).length;
+    const outcome = acceptedCount === items.length ? 'passed' : acceptedCount === 0 ? 'failed' : 'partial';
+    return { outcome, items };
+}
+
+/**
+ * Per-item refund caps from a stored inspection, for computeRefundLines:
+ * { [lineItemId]: { quantity, restockingFeePercent } }. Rejected items cap at 0.
+ */
+function refundLimits(inspection) {
+    if (!inspection) return null;
+    const limits = {};
+    for (const item of parseItems(inspection.items)) {
+        const key = String(item.lineItemId);
+        const quantity = item.accepted ? item.quantity : 0;
+        // The same line item listed twice refunds its accepted units combined
+        if (limits[key]) limits[key].quantity += quantity;
+        else limits[key] = { quantity, restockingFeePercent: item.restockingFeePercent || 0 };
+    }
+    return limits;
+}
+
+module.exports = {
+    ITEM_CONDITIONS,
+    DISPOSITIONS,
+    OUTCOMES,
+    validateInspection,
+    evaluateInspection,
+    refundLimits
+};
@@ -0,0 +1,81 @@
+/**
+ * Durable background jobs for carrier bookings and exchange orders.
+ *
+ * Bookings used to run inline (bulk pickup, rescheduled rebooking, dispatch on
+ * approval, the Shopify replacement order); a carrier error there was only
+ * logged and someone wrote a recovery script later. Now the work is a row in
+ * `jobs` (Postgres) that a worker claims, runs and retries:
+ *
+ *   book_pickup            return pickup of a request (bulk pickup, CSV import)
+ *   rebook_pickup          rescheduled self-service pickup, on its day
+ *   dispatch_forward       replacement shipment whose dispatch failed on approval
+ *   create_exchange_order  Shopify replacement order that failed on dispatch
+ *
+ * Auto-pickup on submission stays inline: when every carrier fails there the
+ * customer is refunded the pickup fee and asked to self-ship.
+ *
+ *   queued → running → succeeded
+ *                    → queued again (retry with backoff)
+ *                    → dead (attempts used up) — retried from the admin Job Queue
+ *   queued → cancelled (admin)
+ *
+ * One live (queued / running) job per idempotency key — request, leg and
+ * type — and every handler re-checks the request first, so a repeat run never
+ * books twice.
+ *
+ * Pure helpers only — server.js runs the jobs, db-helpers.js stores them.
+ */
+
+const JOB_TYPES = ['book_pickup', 'rebook_pickup', 'dispatch_forward', 'create_exchange_order'];
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'dead', 'cancelled'];
+// Statuses holding the idempotency key
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const JOB_LEGS = {
+    book_pickup: 'return',
+    rebook_pickup: 'return',
+    dispatch_forward: 'forward',
+    create_exchange_order: 'forward'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 2 * 60 * 1000;       // 2, 4, 8, 16 … minutes
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;   // never wait more than 6 hours
+// A running job not finished within this is presumed lost (crash, deploy) and claimed again
+const JOB_LOCK_SECONDS = 10 * 60;
+
+function idempotencyKey(type, requestId) {
+    return `${requestId}:${JOB_LEGS[type]}:${type}`;
+}
+
+// Wait before the next try, after `attempts` failed tries
+function backoffMs(attempts) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * What happens to a job whose run just failed:
+ * { status: 'queued', runAt } or { status: 'dead', runAt: null }.
+ */
+function afterFailure(job, now = Date.now()) {
+    if (job.attempts >= job.max_attempts) return { status: 'dead', runAt: null };
+    return { status: 'queued', runAt: new Date(now + backoffMs(job.attempts)).toISOString() };
+}
+
+// Short, single-line error for last_error
+function errorMessage(err) {
+    return String((err && err.message) || err || 'Unknown error').replace(/\s+/g, ' ').substring(0, 500);
+}
+
+module.exports = {
+    JOB_TYPES,
+    JOB_STATUSES,
+    ACTIVE_JOB_STATUSES,
+    JOB_LEGS,
+    DEFAULT_MAX_ATTEMPTS,
+    JOB_LOCK_SECONDS,
+    idempotencyKey,
+    backoffMs,
+    afterFailure,
+    errorMessage
+};
@@ -764,6 +764,43 @@ async function getCampaignRecipientStats(campaignId) {
     return stats;
 }
 
+/**
+ * Delivery funnel for a campaign, built from the statuses the Meta webhook
+ * keeps current. Counts are cumulative (a read message was also delivered).
+ */
+async function getCampaignDeliveryReport(campaignId) {
+    const { data, error } = await supabase
+        .from('marketing_campaign_recipients').select('status, error_code').eq('campaign_id', campaignId);
+    if (error) throw error;
+
+    const stats = { pending: 0, queued: 0, sent: 0, delivered: 0, read: 0, replied: 0, failed: 0, bounced: 0 };
+    const errorCodes = {};
+    (data || []).forEach(r => {
+        if (stats[r.status] !== undefined) stats[r.status]++;
+        if (r.status === 'failed' && r.error_code) errorCodes[r.error_code] = (errorCodes[r.error_code] || 0) + 1;
+    });
+
+    const funnel = {
+        sent: stats.sent + stats.delivered + stats.read + stats.replied,
+        delivered: stats.delivered + stats.read + stats.replied,
+        read: stats.read + stats.replied,
+        failed: stats.failed
+    };
+    const attempted = funnel.sent + funnel.failed;
+    const pct = (n, d) => d > 0 ? Math.round((n / d) * 1000) / 10 : 0;
+
+    return {
+        stats,
+        funnel,
+        rates: {
+            deliveryRate: pct(funnel.delivered, funnel.sent),
+            readRate: pct(funnel.read, funnel.delivered),
+            failureRate: pct(funnel.failed, attempted)
+        },
+        errorCodes
+    };
+}
+
 // ── Campaign Snapshots ──
 
 async function createCampaignSnapshot(campaignId) {
@@ -1300,6 +1337,116 @@ async function getRecoveredCartStats() {
     };
 }
 
+// ════════════════════════════════════════════════════════════════
+// WHATSAPP DELIVERY STATUS (Meta webhook)
+// ════════════════════════════════════════════════════════════════
+
+// Meta delivers status callbacks out of order and retries them, so a late
+// "delivered" must never overwrite "read". Failed is terminal from any state.
+const WA_STATUS_RANK = { pending: 0, queued: 1, sent: 2, delivered: 3, read: 4, replied: 5 };
+
+function isWhatsAppStatusAdvance(current, next) {
+    if (next === 'failed') return current !== 'failed';
+    if (current === 'failed') return false;
+    const cur = WA_STATUS_RANK[current] ?? -1;
+    const nxt = WA_STATUS_RANK[next] ?? -1;
+    return nxt > cur;
+}
+
+// Timestamp columns to fill for each status. Earlier steps are backfilled so a
+// "read" that arrives before its "delivered" still counts as delivered.
+function whatsAppStatusTimestamps(status, at, existing = {}) {
+    const row = {};
+    if (status === 'failed') {
+        row.failed_at = existing.failed_at || at;
+        return row;
+    }
+    if (WA_STATUS_RANK[status] >= WA_STATUS_RANK.sent && !existing.sent_at) row.sent_at = at;
+    if (WA_STATUS_RANK[status] >= WA_STATUS_RANK.delivered && !existing.delivered_at) row.delivered_at = at;
+    if (status === 'read' && !existing.read_at) row.read_at = at;
+    return row;
+}
+
+// ── Abandoned cart reminder messages ──
+
+async function logCartReminderMessage(entry) {
+    const row = {
+        cart_id: entry.cartId,
+        reminder_type: entry.reminderType,
+        template_id: entry.templateId || null,
+        phone: entry.phone,
+        meta_message_id: entry.metaMessageId || null,
+        status: entry.status || 'sent',
+        error_code: entry.errorCode || null,
+        error_message: entry.errorMessage || null,
+        sent_at: entry.status === 'failed' ? null : (entry.sentAt || new Date().toISOString()),
+        failed_at: entry.status === 'failed' ? new Date().toISOString() : null
+    };
+
+    const { data, error } = await supabase.from('marketing_cart_reminder_messages').insert([row]).select().single();
+    if (error) throw error;
+    return data;
+}
+
+async function getCartReminderMessages(cartId) {
+    const { data, error } = await supabase
+        .from('marketing_cart_reminder_messages')
+        .select('*')
+        .eq('cart_id', cartId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Apply one Meta status event to whichever message row carries its wamid.
+ * Campaign recipients are checked first, then abandoned-cart reminders.
+ * Returns { matched, table, id, updated } — updated is false for stale/duplicate events.
+ */
+async function applyWhatsAppStatusEvent(event) {
+    const targets = [
+        { table: 'marketing_campaign_recipients', columns: 'id, status, sent_at, delivered_at, read_at, failed_at' },
+        { table: 'marketing_cart_reminder_messages', columns: 'id, status, sent_at, delivered_at, read_at, failed_at' }
+    ];
+
+    for (const target of targets) {
+        const { data, error } = await supabase
+            .from(target.table)
+            .select(target.columns)
+            .eq('meta_message_id', event.messageId)
+            .limit(1);
+        if (error) throw error;
+
+        const current = data && data[0];
+        if (!current) continue;
+
+        if (!isWhatsAppStatusAdvance(current.status, event.status)) {
+            return { matched: true, table: target.table, id: current.id, updated: false };
+        }
+
+        const row = {
+            status: event.status,
+            ...whatsAppStatusTimestamps(event.status, event.timestamp, current)
+        };
+        if (event.status === 'failed') {
+            row.error_code = event.errorCode;
+            row.error_message = event.errorMessage;
+        }
+        if (target.table === 'marketing_campaign_recipients') {
+            if (event.conversationId) row.meta_conversation_id = event.conversationId;
+            if (event.pricingCategory) row.meta_pricing_category = event.pricingCategory;
+        } else {
+            row.updated_at = new Date().toISOString();
+        }
+
+        const { error: updateError } = await supabase.from(target.table).update(row).eq('id', current.id);
+        if (updateError) throw updateError;
+        return { matched: true, table: target.table, id: current.id, updated: true };
+    }
+
+    return { matched: false, table: null, id: null, updated: false };
+}
+
 // ════════════════════════════════════════════════════════════════
 // ANALYTICS
 // ════════════════════════════════════════════════════════════════
@@ -1524,6 +1671,7 @@ module.exports = {
     getCampaignRecipients,
     updateCampaignRecipient,
     getCampaignRecipientStats,
+    getCampaignDeliveryReport,
     createCampaignSnapshot,
 
     // Coupons
@@ -1547,6 +1695,11 @@ module.exports = {
     getRecoveredCarts,
     getRecoveredCartStats,
 
+    // WhatsApp Delivery Status
+    logCartReminderMessage,
+    getCartReminderMessages,
+    applyWhatsAppStatusEvent,
+
     // Analytics
     getMarketingAnalyticsOverview,
     getCampaignAnalytics,
@@ -524,12 +524,52 @@ function verifyWebhookSignature(payload, signature, appSecret) {
         .update(payload)
         .digest('hex');
 
+    // timingSafeEqual throws on length mismatch — treat that as a bad signature
+    if (Buffer.byteLength(expectedSignature) !== Buffer.byteLength(signature)) return false;
+
     return crypto.timingSafeEqual(
         Buffer.from(expectedSignature),
         Buffer.from(signature)
     );
 }
 
+/**
+ * Flatten a Meta webhook payload into message status events.
+ * Meta batches statuses as entry[].changes[].value.statuses[]; everything
+ * else (inbound messages, template review updates) is ignored here.
+ *
+ * @param {Object} body - Parsed webhook body
+ * @returns {Array<{messageId, status, timestamp, recipientPhone, conversationId, pricingCategory, errorCode, errorMessage}>}
+ */
+function parseStatusWebhook(body) {
+    const events = [];
+    if (!body || body.object !== 'whatsapp_business_account') return events;
+
+    for (const entry of (body.entry || [])) {
+        for (const change of (entry.changes || [])) {
+            const statuses = (change.value && change.value.statuses) || [];
+            for (const s of statuses) {
+                if (!s.id || !s.status) continue;
+                const err = (s.errors && s.errors[0]) || null;
+                events.push({
+                    messageId: s.id,
+                    status: s.status, // sent | delivered | read | failed
+                    timestamp: s.timestamp
+                        ? new Date(parseInt(s.timestamp, 10) * 1000).toISOString()
+                        : new Date().toISOString(),
+                    recipientPhone: s.recipient_id || null,
+                    conversationId: s.conversation?.id || null,
+                    pricingCategory: s.pricing?.category || null,
+                    errorCode: err ? String(err.code) : null,
+                    errorMessage: err ? (err.error_data?.details || err.message || err.title || null) : null
+                });
+            }
+        }
+    }
+
+    return events;
+}
+
 // ── Exports ──
 
 module.exports = {
@@ -554,5 +594,6 @@ module.exports = {
 
     // Webhook
     verifyWebhookToken,
-    verifyWebhookSignature
+    verifyWebhookSignature,
+    parseStatusWebhook
 };
@@ -29,6 +29,11 @@
 //           normal /account/login form (same-origin -> Shopify issues the
 //           _secure_customer_session cookie directly in the browser)
 //
+// OTP state (live OTP, attempts, cooldown, send history, lockouts) lives in
+// a pluggable store (config/otp-store.js). The default is in-memory; server.js
+// swaps in the Supabase store so limits survive restarts and are shared by
+// every instance.
+//
 // Limitation: customers whose legacy account is ALREADY activated
 // (state === 'enabled') keep their own password and must use email login.
 //
@@ -47,6 +52,7 @@
 // ============================================================================
 
 const crypto = require('crypto');
+const { createMemoryOtpStore } = require('./otp-store');
 
 const SHOPIFY_API_VERSION = '2024-01';
 const STOREFRONT_USER_AGENT = 'Mozilla/5.0 (compatible; OFFCOMFRT-OTP/1.0)';
@@ -57,23 +63,16 @@ const OTP_RESEND_COOLDOWN_MS = 60 * 1000;    // 1 minute between sends
 const OTP_MAX_SENDS_PER_HOUR = 3;            // per phone number
 const OTP_MAX_VERIFY_ATTEMPTS = 5;           // before the OTP is invalidated
 
-// In-memory OTP session store: phone -> session record.
-// OTPs are short-lived so in-memory storage is fine for a single Render instance.
-const otpStore = new Map();
+// OTP state store (see config/otp-store.js for the interface)
+let otpStore = createMemoryOtpStore();
 
-// Prune expired entries so the Map doesn't grow unbounded
-setInterval(() => {
-    const now = Date.now();
-    for (const [phone, record] of otpStore) {
-        // Drop records whose OTP expired AND whose send history fully aged out
-        const recentSends = record.sendTimes.filter(ts => now - ts < 60 * 60 * 1000);
-        if (record.expiresAt < now && recentSends.length === 0) {
-            otpStore.delete(phone);
-        } else {
-            record.sendTimes = recentSends;
-        }
-    }
-}, 10 * 60 * 1000).unref();
+function setOtpStore(store) {
+    otpStore = store;
+}
+
+function getOtpStore() {
+    return otpStore;
+}
 
 // Structured error so routes can map codes -> HTTP statuses
 class OtpError extends Error {
@@ -86,6 +85,17 @@ class OtpError extends Error {
 
 // ------------------------------ helpers -------------------------------------
 
+// Store outages surface as a retryable error, not a 500
+async function withStore(operation) {
+    try {
+        return await operation(otpStore);
+    } catch (err) {
+        if (err instanceof OtpError) throw err;
+        console.error(`[OTP] ${otpStore.kind} store error:`, err.message);
+        throw new OtpError('store_error', 'Could not process OTP right now. Please try again.', 503);
+    }
+}
+
 function sha256(value) {
     return crypto.createHash('sha256').update(String(value)).digest('hex');
 }
@@ -173,20 +183,31 @@ async function getAuthToken(forceRefresh = false) {
 }
 
 async function sendOtp(phone) {
-    const now = Date.now();
-    const existing = otpStore.get(phone);
-
-    if (existing) {
-        if (existing.cooldownUntil > now) {
-            const retryInSeconds = Math.ceil((existing.cooldownUntil - now) / 1000);
-            throw new OtpError('resend_too_soon', `Please wait ${retryInSeconds}s before requesting another OTP`, 429);
-        }
-        const sendsLastHour = existing.sendTimes.filter(ts => now - ts < 60 * 60 * 1000);
-        if (sendsLastHour.length >= OTP_MAX_SENDS_PER_HOUR) {
-            throw new OtpError('send_limit', 'Too many OTP requests for this number. Try again after an hour.', 429);
+    // Cooldown and hourly limit are checked and the send recorded in one step,
+    // so parallel requests (or instances) can't both get through
+    const reservation = await withStore(store => store.reserveSend(phone, {
+        cooldownMs: OTP_RESEND_COOLDOWN_MS,
+        maxSendsPerHour: OTP_MAX_SENDS_PER_HOUR
+    }));
+    if (!reservation.ok) {
+        if (reservation.code === 'resend_too_soon') {
+            throw new OtpError('resend_too_soon', `Please wait ${reservation.retryInSeconds}s before requesting another OTP`, 429);
         }
+        throw new OtpError('send_limit', 'Too many OTP requests for this number. Try again after an hour.', 429);
+    }
+
+    try {
+        return await deliverOtp(phone);
+    } catch (err) {
+        // Nothing reached the customer — the send doesn't count
+        await otpStore.releaseSend(phone, reservation.sentAt).catch(releaseErr => {
+            console.error('[OTP] Could not release send reservation:', releaseErr.message);
+        });
+        throw err;
     }
+}
 
+async function deliverOtp(phone) {
     let sessionId = null;
     let devOtp = null;
 
@@ -251,14 +272,11 @@ async function sendOtp(phone) {
         console.log(`[OTP][DEV] OTP for +${phone}: ${devOtp}`);
     }
 
-    const record = existing || { sendTimes: [], attempts: 0 };
-    record.sessionId = sessionId;
-    record.otpHash = devOtp ? sha256(devOtp) : null;
-    record.expiresAt = now + OTP_TTL_MS;
-    record.cooldownUntil = now + OTP_RESEND_COOLDOWN_MS;
-    record.attempts = 0;
-    record.sendTimes = [...(record.sendTimes || []), now];
-    otpStore.set(phone, record);
+    await withStore(store => store.saveChallenge(phone, {
+        sessionId,
+        otpHash: devOtp ? sha256(devOtp) : null,
+        ttlMs: OTP_TTL_MS
+    }));
 
     return {
         via: configured ? 'verifynow' : 'dev',
@@ -269,17 +287,15 @@ async function sendOtp(phone) {
 }
 
 async function verifyOtp(phone, otp) {
-    const now = Date.now();
-    const record = otpStore.get(phone);
+    // Expiry and the attempt count are checked and bumped in one step
+    const record = await withStore(store => store.claimAttempt(phone, { maxAttempts: OTP_MAX_VERIFY_ATTEMPTS }));
 
-    if (!record || record.expiresAt < now) {
+    if (record.state === 'expired') {
         throw new OtpError('otp_expired', 'OTP expired. Please request a new one.', 410);
     }
-    if (record.attempts >= OTP_MAX_VERIFY_ATTEMPTS) {
-        otpStore.delete(phone);
+    if (record.state === 'locked') {
         throw new OtpError('otp_locked', 'Too many incorrect attempts. Please request a new OTP.', 429);
     }
-    record.attempts += 1;
 
     let ok = false;
 
@@ -327,13 +343,19 @@ async function verifyOtp(phone, otp) {
     }
 
     if (!ok) {
+        // The last allowed attempt locks the OTP
+        await withStore(store => store.recordFailure(phone, { maxAttempts: OTP_MAX_VERIFY_ATTEMPTS }));
         const remaining = OTP_MAX_VERIFY_ATTEMPTS - record.attempts;
         throw new OtpError('otp_invalid', remaining > 0
             ? `Incorrect OTP. ${remaining} attempt(s) remaining.`
             : 'Incorrect OTP. Please request a new one.', 401);
     }
 
-    otpStore.delete(phone); // single-use
+    // Single-use: fails when the OTP expired or was replaced or used meanwhile
+    const consumed = await withStore(store => store.consume(phone, { sessionId: record.sessionId, otpHash: record.otpHash }));
+    if (!consumed) {
+        throw new OtpError('otp_expired', 'OTP expired. Please request a new one.', 410);
+    }
     return true;
 }
 
@@ -538,5 +560,7 @@ module.exports = {
     sendOtp,
     verifyOtp,
     issueStorefrontLogin,
+    setOtpStore,
+    getOtpStore,
     OtpError
 };
@@ -0,0 +1,344 @@
+// ============================================================================
+// OTP state stores for config/otp-service.js
+//
+// One record per phone: the live OTP (VerifyNow verificationId or a dev-mode
+// hash), its expiry, verify attempts, the resend cooldown, the sends of the
+// last hour, and lifetime counters (sends, blocked sends, failed verifies,
+// lockouts) for the admin abuse view.
+//
+// Every store implements the same async interface; each call is atomic:
+//
+//   reserveSend(phone, { cooldownMs, maxSendsPerHour })
+//       -> { ok: true, sentAt } | { ok: false, code: 'resend_too_soon', retryInSeconds }
+//                               | { ok: false, code: 'send_limit' }
+//   releaseSend(phone, sentAt)                 undo a reservation (provider failed)
+//   saveChallenge(phone, { sessionId, otpHash, ttlMs })
+//   claimAttempt(phone, { maxAttempts })
+//       -> { state: 'expired' } | { state: 'locked' }
+//        | { state: 'ok', sessionId, otpHash, attempts }
+//   recordFailure(phone, { maxAttempts })      -> true when the OTP is now locked
+//   consume(phone, { sessionId, otpHash })     -> false when expired / replaced
+//   list({ phone, filter, limit })             admin view (no OTP secrets)
+//   reset(phone)                               clear cooldown, sends and OTP
+//
+// createMemoryOtpStore  single process (dev, tests) — state is lost on restart
+// createSupabaseOtpStore shared by all instances; atomic via the otp_* SQL
+//                        functions in supabase_migration_otp_store.sql. Until
+//                        that migration runs (otp_* functions or otp_states
+//                        missing) it falls back to a memory store, asking the
+//                        database again every minute.
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const ACTIVITY_FILTERS = ['all', 'locked', 'blocked', 'failed'];
+
+function iso(ms) {
+    return ms ? new Date(ms).toISOString() : null;
+}
+
+function matchesFilter(row, filter) {
+    if (filter === 'locked') return row.lockouts > 0;
+    if (filter === 'blocked') return row.blockedSends > 0;
+    if (filter === 'failed') return row.failedVerifications > 0;
+    return true;
+}
+
+// ------------------------------ memory --------------------------------------
+
+function createMemoryOtpStore() {
+    const records = new Map();
+
+    const blank = () => ({
+        sessionId: null, otpHash: null, expiresAt: 0, attempts: 0,
+        cooldownUntil: 0, sendTimes: [],
+        totalSends: 0, blockedSends: 0, failedVerifications: 0, lockouts: 0,
+        lastSendAt: 0, lastFailedAt: 0, lastLockedAt: 0, lastVerifiedAt: 0, updatedAt: 0
+    });
+    // Drop records whose OTP expired AND whose send history fully aged out.
+    // Started with the first record, so an unused store holds no timer.
+    let sweep = null;
+    const startSweep = () => {
+        if (sweep) return;
+        sweep = setInterval(() => {
+            const now = Date.now();
+            for (const [phone, record] of records) {
+                record.sendTimes = record.sendTimes.filter(ts => now - ts < HOUR_MS);
+                if (record.expiresAt < now && record.sendTimes.length === 0 && now - record.updatedAt > 24 * HOUR_MS) {
+                    records.delete(phone);
+                }
+            }
+        }, 10 * 60 * 1000);
+        sweep.unref();
+    };
+    const recordFor = phone => {
+        if (!records.has(phone)) {
+            records.set(phone, blank());
+            startSweep();
+        }
+        return records.get(phone);
+    };
+    const clearChallenge = record => {
+        record.sessionId = null;
+        record.otpHash = null;
+        record.expiresAt = 0;
+        record.attempts = 0;
+    };
+
+    return {
+        kind: 'memory',
+
+        async reserveSend(phone, { cooldownMs, maxSendsPerHour }) {
+            const now = Date.now();
+            const record = recordFor(phone);
+            record.sendTimes = record.sendTimes.filter(ts => now - ts < HOUR_MS);
+            record.updatedAt = now;
+            if (record.cooldownUntil > now) {
+                record.blockedSends += 1;
+                return { ok: false, code: 'resend_too_soon', retryInSeconds: Math.ceil((record.cooldownUntil - now) / 1000) };
+            }
+            if (record.sendTimes.length >= maxSendsPerHour) {
+                record.blockedSends += 1;
+                return { ok: false, code: 'send_limit' };
+            }
+            record.sendTimes.push(now);
+            record.cooldownUntil = now + cooldownMs;
+            record.totalSends += 1;
+            record.lastSendAt = now;
+            return { ok: true, sentAt: now };
+        },
+
+        async releaseSend(phone, sentAt) {
+            const record = records.get(phone);
+            if (!record || !record.sendTimes.includes(sentAt)) return;
+            record.sendTimes = record.sendTimes.filter(ts => ts !== sentAt);
+            record.cooldownUntil = 0;
+            record.totalSends = Math.max(0, record.totalSends - 1);
+        },
+
+        async saveChallenge(phone, { sessionId, otpHash, ttlMs }) {
+            const record = recordFor(phone);
+            record.sessionId = sessionId;
+            record.otpHash = otpHash;
+            record.expiresAt = Date.now() + ttlMs;
+            record.attempts = 0;
+            record.updatedAt = Date.now();
+        },
+
+        async claimAttempt(phone, { maxAttempts }) {
+            const now = Date.now();
+            const record = records.get(phone);
+            if (!record || !record.expiresAt || record.expiresAt <= now) return { state: 'expired' };
+            record.updatedAt = now;
+            if (record.attempts >= maxAttempts) {
+                clearChallenge(record);
+                record.lockouts += 1;
+                record.lastLockedAt = now;
+                return { state: 'locked' };
+            }
+            record.attempts += 1;
+            return { state: 'ok', sessionId: record.sessionId, otpHash: record.otpHash, attempts: record.attempts };
+        },
+
+        async recordFailure(phone, { maxAttempts }) {
+            const now = Date.now();
+            const record = recordFor(phone);
+            record.failedVerifications += 1;
+            record.lastFailedAt = now;
+            record.updatedAt = now;
+            if (record.expiresAt && record.attempts >= maxAttempts) {
+                clearChallenge(record);
+                record.lockouts += 1;
+                record.lastLockedAt = now;
+                return true;
+            }
+            return false;
+        },
+
+        async consume(phone, { sessionId, otpHash }) {
+            const now = Date.now();
+            const record = records.get(phone);
+            if (!record || record.expiresAt <= now || record.sessionId !== sessionId || record.otpHash !== otpHash) return false;
+            clearChallenge(record);
+            record.lastVerifiedAt = now;
+            record.updatedAt = now;
+            return true;
+        },
+
+        async list({ phone = null, filter = 'all', limit = 100 } = {}) {
+            const now = Date.now();
+            return [...records.entries()]
+                .filter(([p]) => !phone || p.includes(phone))
+                .map(([p, r]) => ({
+                    phone: p,
+                    activeOtp: r.expiresAt > now,
+                    attempts: r.attempts,
+                    cooldownUntil: r.cooldownUntil > now ? iso(r.cooldownUntil) : null,
+                    sendsLastHour: r.sendTimes.filter(ts => now - ts < HOUR_MS).length,
+                    totalSends: r.totalSends,
+                    blockedSends: r.blockedSends,
+                    failedVerifications: r.failedVerifications,
+                    lockouts: r.lockouts,
+                    lastSendAt: iso(r.lastSendAt),
+                    lastFailedAt: iso(r.lastFailedAt),
+                    lastLockedAt: iso(r.lastLockedAt),
+                    lastVerifiedAt: iso(r.lastVerifiedAt),
+                    updatedAt: iso(r.updatedAt)
+                }))
+                .filter(row => matchesFilter(row, filter))
+                .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+                .slice(0, limit);
+        },
+
+        async reset(phone) {
+            const record = records.get(phone);
+            if (!record) return false;
+            clearChallenge(record);
+            record.cooldownUntil = 0;
+            record.sendTimes = [];
+            record.updatedAt = Date.now();
+            return true;
+        }
+    };
+}
+
+// ------------------------------ Supabase ------------------------------------
+
+// PostgREST / Postgres codes for an unknown function or table
+const MISSING_SCHEMA_CODES = ['PGRST202', 'PGRST205', '42883', '42P01'];
+
+function createSupabaseOtpStore(supabase, { schemaRetryMs = 60 * 1000 } = {}) {
+    const rpc = async (fn, params) => {
+        const { data, error } = await supabase.rpc(fn, params);
+        if (error) throw error;
+        return data;
+    };
+
+    const shared = {
+
+        async reserveSend(phone, { cooldownMs, maxSendsPerHour }) {
+            const result = await rpc('otp_reserve_send', {
+                p_phone: phone,
+                p_cooldown_seconds: Math.round(cooldownMs / 1000),
+                p_max_sends_per_hour: maxSendsPerHour
+            });
+            return result.ok
+                ? { ok: true, sentAt: result.sent_at }
+                : { ok: false, code: result.code, retryInSeconds: result.retry_in_seconds || null };
+        },
+
+        async releaseSend(phone, sentAt) {
+            await rpc('otp_release_send', { p_phone: phone, p_sent_at: sentAt });
+        },
+
+        async saveChallenge(phone, { sessionId, otpHash, ttlMs }) {
+            await rpc('otp_save_challenge', {
+                p_phone: phone,
+                p_session_id: sessionId,
+                p_otp_hash: otpHash,
+                p_ttl_seconds: Math.round(ttlMs / 1000)
+            });
+        },
+
+        async claimAttempt(phone, { maxAttempts }) {
+            const result = await rpc('otp_claim_attempt', { p_phone: phone, p_max_attempts: maxAttempts });
+            return result.state === 'ok'
+                ? { state: 'ok', sessionId: result.session_id, otpHash: result.otp_hash, attempts: result.attempts }
+                : { state: result.state };
+        },
+
+        async recordFailure(phone, { maxAttempts }) {
+            return !!(await rpc('otp_record_failure', { p_phone: phone, p_max_attempts: maxAttempts }));
+        },
+
+        async consume(phone, { sessionId, otpHash }) {
+            return !!(await rpc('otp_consume', { p_phone: phone, p_session_id: sessionId, p_otp_hash: otpHash }));
+        },
+
+        async list({ phone = null, filter = 'all', limit = 100 } = {}) {
+            let query = supabase
+                .from('otp_states')
+                .select('phone, expires_at, attempts, cooldown_until, send_times, total_sends, blocked_sends, failed_verifications, lockouts, last_send_at, last_failed_at, last_locked_at, last_verified_at, updated_at')
+                .order('updated_at', { ascending: false })
+                .limit(limit);
+            if (phone) query = query.ilike('phone', `%${phone}%`);
+            if (filter === 'locked') query = query.gt('lockouts', 0);
+            if (filter === 'blocked') query = query.gt('blocked_sends', 0);
+            if (filter === 'failed') query = query.gt('failed_verifications', 0);
+
+            const { data, error } = await query;
+            if (error) throw error;
+            const now = Date.now();
+            return (data || []).map(r => ({
+                phone: r.phone,
+                activeOtp: !!r.expires_at && new Date(r.expires_at).getTime() > now,
+                attempts: r.attempts,
+                cooldownUntil: r.cooldown_until && new Date(r.cooldown_until).getTime() > now ? r.cooldown_until : null,
+                sendsLastHour: (r.send_times || []).filter(ts => now - new Date(ts).getTime() < HOUR_MS).length,
+                totalSends: r.total_sends,
+                blockedSends: r.blocked_sends,
+                failedVerifications: r.failed_verifications,
+                lockouts: r.lockouts,
+                lastSendAt: r.last_send_at,
+                lastFailedAt: r.last_failed_at,
+                lastLockedAt: r.last_locked_at,
+                lastVerifiedAt: r.last_verified_at,
+                updatedAt: r.updated_at
+            }));
+        },
+
+        async reset(phone) {
+            const { data, error } = await supabase
+                .from('otp_states')
+                .update({
+                    session_id: null,
+                    otp_hash: null,
+                    expires_at: null,
+                    attempts: 0,
+                    cooldown_until: null,
+                    send_times: [],
+                    updated_at: new Date().toISOString()
+                })
+                .eq('phone', phone)
+                .select('phone');
+            if (error) throw error;
+            return (data || []).length > 0;
+        }
+    };
+
+    // Migration not run yet: keep OTPs working on an in-process store, and try
+    // the database again once schemaRetryMs has passed so running the migration
+    // takes effect without a restart (OTPs still held in memory then expire)
+    let fallback = null;
+    let retryAt = 0;
+    const store = { kind: 'supabase' };
+    for (const [name, method] of Object.entries(shared)) {
+        store[name] = async (...args) => {
+            if (fallback && Date.now() < retryAt) return fallback[name](...args);
+            try {
+                const result = await method(...args);
+                if (fallback) {
+                    console.log('[OTP] otp_states / otp_* functions found — back on the shared store');
+                    fallback = null;
+                    store.kind = 'supabase';
+                }
+                return result;
+            } catch (err) {
+                if (!MISSING_SCHEMA_CODES.includes(err && err.code)) throw err;
+                if (!fallback) {
+                    console.warn(`[OTP] otp_states / otp_* functions missing (${err.code}) — using the in-memory store until supabase_migration_otp_store.sql runs`);
+                    fallback = createMemoryOtpStore();
+                    store.kind = fallback.kind;
+                }
+                retryAt = Date.now() + schemaRetryMs;
+                return fallback[name](...args);
+            }
+        };
+    }
+    return store;
+}
+
+module.exports = {
+    ACTIVITY_FILTERS,
+    createMemoryOtpStore,
+    createSupabaseOtpStore
+};
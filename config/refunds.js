@@ -0,0 +1,219 @@
+/**
+ * Refund-to-source calculations.
+ *
+ * Approved returns are refunded to where the money came from: prepaid orders
+ * through Shopify's refund API (which refunds the original gateway) or
+ * directly through Razorpay, COD orders as a bank/UPI payout task that an
+ * operator completes by hand. Every attempt is a row in the request_refunds
+ * ledger; this module only does the maths and status mapping — server.js
+ * talks to the providers and the database.
+ */
+
+const REFUND_METHODS = ['shopify', 'razorpay', 'cod_payout', 'store_credit'];
+// pending = created, not yet sent (or COD payout waiting for an operator)
+// processing = accepted by the provider, money not settled yet
+const REFUND_STATUSES = ['pending', 'processing', 'processed', 'failed', 'cancelled'];
+const FINAL_REFUND_STATUSES = ['processed', 'failed', 'cancelled'];
+// Ledger rows in these statuses no longer hold the items they cover
+const RELEASED_REFUND_STATUSES = ['failed', 'cancelled'];
+// Reasons where the customer is not at fault, so no restocking fee applies
+const RESTOCKING_FEE_WAIVED_REASONS = ['defective', 'wrong_item'];
+
+const round2 = n => Math.round((Number(n) || 0) * 100) / 100;
+
+function parseItems(items) {
+    if (typeof items === 'string') { try { items = JSON.parse(items); } catch (e) { items = []; } }
+    return Array.isArray(items) ? items : [];
+}
+
+// Sum [{ key, quantity }] per key — a request can list the same line item twice
+function sumQuantities(entries) {
+    const totals = new Map();
+    for (const { key, quantity } of entries) totals.set(key, (totals.get(key) || 0) + quantity);
+    return totals;
+}
+
+/**
+ * 'cod' when the order was paid on delivery, 'prepaid' otherwise.
+ * Shopify marks COD orders with a "Cash on Delivery (COD)" gateway.
+ */
+function detectPaymentMode(order) {
+    const gateways = (order && (order.payment_gateway_names || [order.gateway])) || [];
+    const isCod = gateways.some(g => /cash on delivery|\bcod\b/i.test(String(g || '')));
+    return isCod ? 'cod' : 'prepaid';
+}
+
+/**
+ * Razorpay payment id ("pay_...") behind a Shopify order, read from its
+ * successful sale/capture transactions. null when it wasn't paid via Razorpay.
+ */
+function findRazorpayPaymentId(transactions) {
+    for (const t of transactions || []) {
+        if (!/razorpay/i.test(t.gateway || '') || t.status !== 'success' || !['sale', 'capture'].includes(t.kind)) continue;
+        const receipt = t.receipt || {};
+        const candidates = [receipt.payment_id, receipt.id, receipt.razorpay_payment_id, t.authorization];
+        const found = candidates.find(c => typeof c === 'string' && c.startsWith('pay_'));
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Quantity of each line item already covered by earlier ledger rows
+ * (failed/cancelled rows release their items).
+ */
+function refundedQuantities(ledger) {
+    const totals = {};
+    for (const row of ledger || []) {
+        if (RELEASED_REFUND_STATUSES.includes(row.status) || (row.kind && row.kind !== 'return')) continue;
+        for (const line of parseItems(row.items)) {
+            const key = String(line.lineItemId);
+            totals[key] = (totals[key] || 0) + (parseInt(line.quantity, 10) || 0);
+        }
+    }
+    return totals;
+}
+
+/**
+ * Work out what to refund for a request.
+ *
+ * requestItems: the request's stored items ({ id, name, quantity, paidPrice, price })
+ * selection:    optional [{ lineItemId, quantity }] for partial refunds; all remaining otherwise
+ * ledger:       existing request_refunds rows for the request
+ * options:      { restockingFeePercent, reason, limits, feeOverridden }
+ *               limits = per-item caps from warehouse inspection
+ *               ({ [lineItemId]: { quantity, restockingFeePercent } }, see
+ *               inspection.refundLimits); items it doesn't list can't be refunded.
+ *               feeOverridden = operator typed a fee, which beats the inspected ones.
+ *
+ * Returns { lines[], grossAmount, restockingFee, amount, errors[] }.
+ */
+function computeRefundLines(requestItems, selection, ledger, { restockingFeePercent = 0, reason = null, limits = null, feeOverridden = false } = {}) {
+    const already = refundedQuantities(ledger);
+    const feePercent = RESTOCKING_FEE_WAIVED_REASONS.includes(reason) ? 0 : Math.min(100, Math.max(0, Number(restockingFeePercent) || 0));
+    const wanted = Array.isArray(selection) && selection.length > 0
+        ? sumQuantities(selection.map(s => ({ key: String(s.lineItemId), quantity: parseInt(s.quantity, 10) || 0 })))
+        : null;
+
+    // One entry per line item, its quantity summed over duplicate entries
+    const items = parseItems(requestItems);
+    const quantities = sumQuantities(items.map(item => ({ key: String(item.id), quantity: parseInt(item.quantity, 10) || 1 })));
+    const uniqueItems = items.filter((item, index) => items.findIndex(other => String(other.id) === String(item.id)) === index);
+
+    const lines = [];
+    const errors = [];
+    for (const item of uniqueItems) {
+        const lineItemId = String(item.id);
+        const limit = limits ? limits[lineItemId] || { quantity: 0, restockingFeePercent: 0 } : null;
+        const requested = limit ? Math.min(limit.quantity, quantities.get(lineItemId)) : quantities.get(lineItemId);
+        const remaining = Math.max(0, requested - (already[lineItemId] || 0));
+        let quantity = remaining;
+        if (wanted) {
+            if (!wanted.has(lineItemId)) continue;
+            quantity = wanted.get(lineItemId);
+            wanted.delete(lineItemId);
+            if (quantity > remaining) {
+                errors.push(`${item.name || lineItemId}: only ${remaining} left to refund`);
+                continue;
+            }
+        }
+        if (quantity <= 0) continue;
+
+        const paid = parseFloat(item.paidPrice);
+        const unitPrice = round2(Number.isFinite(paid) ? paid : parseFloat(item.price || 0));
+        const gross = round2(unitPrice * quantity);
+        const lineFeePercent = limit && !feeOverridden ? limit.restockingFeePercent : feePercent;
+        const restockingFee = round2(gross * lineFeePercent / 100);
+        lines.push({
+            lineItemId,
+            name: item.name || null,
+            variant: item.variant || null,
+            quantity,
+            unitPrice,
+            gross,
+            restockingFee,
+            amount: round2(gross - restockingFee)
+        });
+    }
+    if (wanted) {
+        for (const lineItemId of wanted.keys()) errors.push(`Item ${lineItemId} is not part of this request`);
+    }
+
+    return {
+        lines,
+        restockingFeePercent: feePercent,
+        grossAmount: round2(lines.reduce((s, l) => s + l.gross, 0)),
+        restockingFee: round2(lines.reduce((s, l) => s + l.restockingFee, 0)),
+        amount: round2(lines.reduce((s, l) => s + l.amount, 0)),
+        errors
+    };
+}
+
+/**
+ * Spread a refund amount over the parent transactions Shopify suggested
+ * (refunds/calculate), never exceeding what each one can still refund.
+ * Returns the `transactions` array for POST refunds.json, or null when the
+ * order can't cover the amount.
+ */
+function allocateShopifyTransactions(suggested, amount) {
+    let left = round2(amount);
+    const transactions = [];
+    for (const t of suggested || []) {
+        if (left <= 0) break;
+        const max = round2(t.maximum_refundable ?? t.amount);
+        const take = round2(Math.min(max, left));
+        if (take <= 0) continue;
+        transactions.push({ parent_id: t.parent_id, amount: take.toFixed(2), kind: 'refund', gateway: t.gateway });
+        left = round2(left - take);
+    }
+    return left > 0 ? null : transactions;
+}
+
+// Razorpay refund.status → ledger status
+function mapRazorpayRefundStatus(status) {
+    if (status === 'processed') return 'processed';
+    if (status === 'failed') return 'failed';
+    return 'processing';
+}
+
+// Shopify refund → ledger status, from its refund transactions
+function mapShopifyRefundStatus(refund) {
+    const transactions = (refund && refund.transactions) || [];
+    if (transactions.length === 0) return 'processed';
+    if (transactions.some(t => ['failure', 'error'].includes(t.status))) return 'failed';
+    if (transactions.every(t => t.status === 'success')) return 'processed';
+    return 'processing';
+}
+
+/**
+ * Refund summary for a request's ledger:
+ * { refundedAmount, pendingAmount, refundedQuantity, fullyRefunded }
+ */
+function summarizeLedger(requestItems, ledger) {
+    const rows = (ledger || []).filter(r => !r.kind || r.kind === 'return');
+    const refundedAmount = round2(rows.filter(r => r.status === 'processed').reduce((s, r) => s + Number(r.amount || 0), 0));
+    const pendingAmount = round2(rows.filter(r => ['pending', 'processing'].includes(r.status)).reduce((s, r) => s + Number(r.amount || 0), 0));
+    const covered = refundedQuantities(rows);
+    const items = parseItems(requestItems);
+    return {
+        refundedAmount,
+        pendingAmount,
+        refundedQuantity: Object.values(covered).reduce((s, q) => s + q, 0),
+        fullyRefunded: items.length > 0 && items.every(i => (covered[String(i.id)] || 0) >= (parseInt(i.quantity, 10) || 1))
+    };
+}
+
+module.exports = {
+    REFUND_METHODS,
+    REFUND_STATUSES,
+    FINAL_REFUND_STATUSES,
+    RESTOCKING_FEE_WAIVED_REASONS,
+    detectPaymentMode,
+    findRazorpayPaymentId,
+    refundedQuantities,
+    computeRefundLines,
+    allocateShopifyTransactions,
+    mapRazorpayRefundStatus,
+    mapShopifyRefundStatus,
+    summarizeLedger
+};
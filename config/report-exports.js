@@ -0,0 +1,322 @@
+/**
+ * Admin report exports (CSV / XLSX), streamed page by page.
+ *
+ * exportToExcel() in the admin panel only wrote the rows loaded in the
+ * browser, and generate_report.py / generate_excel.py queried Supabase from a
+ * shell. Exports now come from the server for any filter of the requests
+ * list:
+ *
+ *   requests   one row per request, both legs + completion time (as
+ *              generate_report.py built it)
+ *   shipments  one row per carrier shipment (return pickup / replacement)
+ *   refunds    the refund ledger (request_refunds)
+ *
+ * Saved report definitions can run daily or weekly; each run is stored for
+ * download under Reports (the last REPORT_RUNS_KEPT per definition).
+ *
+ * Column definitions and the writers live here; server.js pages the rows.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const REPORT_KINDS = ['requests', 'shipments', 'refunds'];
+const REPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_SCHEDULES = ['daily', 'weekly'];
+const REPORT_PAGE_SIZE = 1000;
+const REPORT_RUNS_KEPT = 10;
+// Scheduled runs go out at 07:00 IST (weekly: Mondays)
+const REPORT_RUN_HOUR_IST = 7;
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters each kind accepts (requests and shipments share the requests list's)
+const REPORT_FILTERS = {
+    requests: ['status', 'type', 'carrier', 'search', 'date', 'from', 'to', 'days', 'sla'],
+    shipments: ['status', 'type', 'carrier', 'search', 'date', 'from', 'to', 'days', 'sla'],
+    refunds: ['status', 'method', 'kind', 'search', 'from', 'to', 'days']
+};
+
+// 2026-10-19 14:05 in IST, '' when empty
+function istDateTime(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    return new Date(d.getTime() + IST_OFFSET_MS).toISOString().replace('T', ' ').substring(0, 16);
+}
+
+function daysBetween(from, to) {
+    if (!from || !to) return '';
+    const ms = new Date(to) - new Date(from);
+    return Number.isFinite(ms) && ms >= 0 ? Math.round(ms / DAY_MS * 10) / 10 : '';
+}
+
+function itemsSummary(items) {
+    let list = items;
+    if (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch (e) { return ''; }
+    }
+    if (!Array.isArray(list)) return '';
+    return list.map(i => {
+        const title = i.name || i.title || i.productTitle || 'Item';
+        const variant = i.variant || i.variantTitle || '';
+        return `${title}${variant ? ` (${variant})` : ''} x${i.quantity || 1}`;
+    }).join('; ');
+}
+
+const TERMINAL_STATUSES = ['completed', 'refunded', 'rejected', 'cancelled', 'exchanged'];
+
+/**
+ * When a request finished and why: { at, basis } (at = null while open).
+ * Same rules as generate_report.py: rejected → rejection, exchange →
+ * replacement delivered, else return received / inspected or a final status.
+ */
+function resolveCompletion(r) {
+    if (r.status === 'rejected') return { at: r.rejectedAt || r.updatedAt, basis: 'rejected' };
+    if (r.type === 'exchange') {
+        return r.forwardStatus === 'delivered'
+            ? { at: r.forwardDeliveredAt || r.updatedAt, basis: 'replacement delivered' }
+            : { at: null, basis: '' };
+    }
+    if (TERMINAL_STATUSES.includes(r.status)) return { at: r.inspectedAt || r.deliveredAt || r.updatedAt, basis: r.status };
+    if (r.inspectedAt) return { at: r.inspectedAt, basis: 'inspected' };
+    if (r.deliveredAt) return { at: r.deliveredAt, basis: 'return delivered to warehouse' };
+    return { at: null, basis: '' };
+}
+
+// [header, row → value]; request rows are camelCase (convertFromSnakeCase)
+const REQUEST_COLUMNS = [
+    ['Request ID', r => r.requestId],
+    ['Order', r => r.orderNumber],
+    ['Type', r => r.type],
+    ['Status', r => r.status],
+    ['Customer', r => r.customerName],
+    ['Phone', r => r.customerPhone],
+    ['Email', r => r.customerEmail || r.email],
+    ['Reason', r => r.reason],
+    ['Items', r => itemsSummary(r.items)],
+    ['Created', r => istDateTime(r.createdAt)],
+    ['Approved', r => istDateTime(r.approvedAt)],
+    ['Pickup Carrier', r => r.carrier],
+    ['Pickup AWB', r => r.carrierAwb || r.awbNumber],
+    ['Pickup Date', r => r.pickupDate],
+    ['Picked Up', r => istDateTime(r.pickedUpAt)],
+    ['In Transit', r => istDateTime(r.inTransitAt)],
+    ['Delivered to Warehouse', r => istDateTime(r.deliveredAt)],
+    ['Inspected', r => istDateTime(r.inspectedAt)],
+    ['Forward Carrier', r => r.forwardCarrier],
+    ['Forward AWB', r => r.forwardAwbNumber],
+    ['Forward Status', r => r.forwardStatus],
+    ['Forward Dispatched', r => istDateTime(r.forwardDispatchedAt)],
+    ['Forward Delivered', r => istDateTime(r.forwardDeliveredAt)],
+    ['Completed', r => istDateTime(resolveCompletion(r).at)],
+    ['Completion Basis', r => resolveCompletion(r).basis],
+    ['Days to Complete', r => daysBetween(r.createdAt, resolveCompletion(r).at)]
+];
+
+// Shipment rows come from shipmentRows()
+const SHIPMENT_COLUMNS = [
+    ['Request ID', s => s.requestId],
+    ['Order', s => s.orderNumber],
+    ['Request Type', s => s.type],
+    ['Request Status', s => s.requestStatus],
+    ['Leg', s => s.leg],
+    ['Carrier', s => s.carrier],
+    ['AWB', s => s.awb],
+    ['Shipment ID', s => s.shipmentId],
+    ['Shipment Status', s => s.status],
+    ['Booked / Dispatched', s => istDateTime(s.bookedAt)],
+    ['Picked Up', s => istDateTime(s.pickedUpAt)],
+    ['Delivered', s => istDateTime(s.deliveredAt)],
+    ['Days in Transit', s => daysBetween(s.pickedUpAt || s.bookedAt, s.deliveredAt)],
+    ['Customer', s => s.customerName],
+    ['Pincode', s => s.pincode]
+];
+
+// Refund rows are request_refunds rows (snake_case)
+const REFUND_COLUMNS = [
+    ['Refund ID', f => f.id],
+    ['Request ID', f => f.request_id],
+    ['Order', f => f.order_number],
+    ['Kind', f => f.kind],
+    ['Method', f => f.method],
+    ['Status', f => f.status],
+    ['Gross', f => Number(f.gross_amount) || 0],
+    ['Restocking Fee', f => Number(f.restocking_fee) || 0],
+    ['Amount', f => Number(f.amount) || 0],
+    ['Currency', f => f.currency],
+    ['Provider Refund ID', f => f.provider_refund_id],
+    ['Payout Reference', f => f.payout_reference],
+    ['Failure Reason', f => f.failure_reason],
+    ['Created By', f => f.created_by],
+    ['Created', f => istDateTime(f.created_at)],
+    ['Processed', f => istDateTime(f.processed_at)]
+];
+
+const REPORT_COLUMNS = {
+    requests: REQUEST_COLUMNS,
+    shipments: SHIPMENT_COLUMNS,
+    refunds: REFUND_COLUMNS
+};
+
+// Carrier shipments of a request: its return pickup and replacement, if booked
+function shipmentRows(r) {
+    const base = {
+        requestId: r.requestId,
+        orderNumber: r.orderNumber,
+        type: r.type,
+        requestStatus: r.status,
+        customerName: r.customerName,
+        pincode: r.newPincode || r.shippingPincode || ''
+    };
+    const rows = [];
+    if (r.carrierAwb || r.awbNumber || r.shipmentId) {
+        rows.push({
+            ...base,
+            leg: 'return',
+            carrier: r.carrier,
+            awb: r.carrierAwb || r.awbNumber,
+            shipmentId: r.carrierShipmentId || r.shipmentId,
+            status: r.status,
+            bookedAt: r.pickupDate,
+            pickedUpAt: r.pickedUpAt,
+            deliveredAt: r.deliveredAt
+        });
+    }
+    if (r.forwardAwbNumber || r.forwardShipmentId) {
+        rows.push({
+            ...base,
+            leg: 'forward',
+            carrier: r.forwardCarrier,
+            awb: r.forwardAwbNumber,
+            shipmentId: r.forwardShipmentId,
+            status: r.forwardStatus,
+            bookedAt: r.forwardDispatchedAt,
+            pickedUpAt: null,
+            deliveredAt: r.forwardDeliveredAt
+        });
+    }
+    return rows;
+}
+
+/**
+ * Filters of a kind from query / saved values. Dates are YYYY-MM-DD (IST
+ * days); `days` = created in the last N days (used by scheduled reports).
+ */
+function normalizeFilters(kind, input = {}) {
+    const filters = {};
+    for (const key of REPORT_FILTERS[kind] || []) {
+        const value = input[key] == null ? '' : String(input[key]).trim();
+        if (!value) continue;
+        if (['date', 'from', 'to'].includes(key) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) continue;
+        if (key === 'days') {
+            const days = parseInt(value, 10);
+            if (days > 0 && days <= 366) filters.days = days;
+            continue;
+        }
+        filters[key] = value.substring(0, 100);
+    }
+    return filters;
+}
+
+/**
+ * created_at bounds of the filters as ISO strings: { since, until } (either
+ * may be null). from / to / date are IST days; days counts back from `now`.
+ */
+function createdRange(filters, now = Date.now()) {
+    const istDayStart = day => new Date(new Date(`${day}T00:00:00Z`).getTime() - IST_OFFSET_MS);
+    let since = null;
+    let until = null;
+    if (filters.date) {
+        since = istDayStart(filters.date);
+        until = new Date(since.getTime() + DAY_MS);
+    }
+    if (filters.from) since = istDayStart(filters.from);
+    if (filters.to) until = new Date(istDayStart(filters.to).getTime() + DAY_MS);
+    if (filters.days) since = new Date(now - filters.days * DAY_MS);
+    return { since: since ? since.toISOString() : null, until: until ? until.toISOString() : null };
+}
+
+// Next 07:00 IST (weekly: on a Monday) after `from`
+function nextRunAt(schedule, from = Date.now()) {
+    const ist = new Date(from + IST_OFFSET_MS);
+    const next = new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), REPORT_RUN_HOUR_IST));
+    if (next.getTime() <= ist.getTime()) next.setUTCDate(next.getUTCDate() + 1);
+    if (schedule === 'weekly') {
+        while (next.getUTCDay() !== 1) next.setUTCDate(next.getUTCDate() + 1);
+    }
+    return new Date(next.getTime() - IST_OFFSET_MS).toISOString();
+}
+
+function reportFileName(kind, format, at = Date.now()) {
+    return `${kind}_report_${istDateTime(at).substring(0, 10)}.${format}`;
+}
+
+function contentType(format) {
+    return format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8';
+}
+
+// Quote every cell; defuse spreadsheet formulas (=, +, -, @) in text
+function csvCell(value) {
+    if (value == null) return '""';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Writer of one report into `stream`: { write(rows), end() } — both async.
+ * CSV is written as it comes (waiting on drain); XLSX streams through exceljs.
+ */
+function createReportWriter(format, stream, columns) {
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+        const sheet = workbook.addWorksheet('Report');
+        sheet.columns = columns.map(([header]) => ({ header, width: Math.max(12, header.length + 4) }));
+        return {
+            async write(rows) {
+                for (const row of rows) sheet.addRow(columns.map(([, value]) => value(row) ?? '')).commit();
+            },
+            async end() {
+                sheet.commit();
+                await workbook.commit();
+            }
+        };
+    }
+
+    const line = values => values.map(csvCell).join(',') + '\r\n';
+    // A closed response never drains; stop waiting when it goes away
+    const push = async chunk => {
+        if (!stream.write(chunk)) await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+    };
+    // BOM so Excel reads the file as UTF-8
+    stream.write('\uFEFF' + line(columns.map(([header]) => header)));
+    return {
+        async write(rows) {
+            if (rows.length > 0) await push(rows.map(row => line(columns.map(([, value]) => value(row)))).join(''));
+        },
+        async end() {
+            stream.end();
+        }
+    };
+}
+
+module.exports = {
+    REPORT_KINDS,
+    REPORT_FORMATS,
+    REPORT_SCHEDULES,
+    REPORT_PAGE_SIZE,
+    REPORT_RUNS_KEPT,
+    REPORT_COLUMNS,
+    shipmentRows,
+    resolveCompletion,
+    normalizeFilters,
+    createdRange,
+    nextRunAt,
+    reportFileName,
+    contentType,
+    createReportWriter
+};
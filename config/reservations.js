@@ -0,0 +1,131 @@
+/**
+ * Soft inventory reservations for exchange replacements.
+ *
+ * Each exchange item holds its replacement variant (the original variant when
+ * the customer wants the same size again) from submission until dispatch.
+ * Holds never touch Shopify stock. They only count against it:
+ *
+ *   available = Shopify inventory_quantity − units held by other requests
+ *
+ * Holds on one variant are served first come, first served. When stock drops
+ * below what is held (sold through another channel, counts corrected), the
+ * newest holds become "short" and admins are warned. Variants Shopify doesn't
+ * track, or that may oversell (inventory_policy "continue"), never run short.
+ *
+ * Pure helpers only — server.js and db-helpers.js do the I/O.
+ */
+
+const RESERVATION_STATUSES = ['held', 'released', 'converted'];
+const RELEASE_REASONS = ['rejected', 'cancelled', 'deleted', 'expired', 'manual'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseItems(items) {
+    if (typeof items === 'string') { try { items = JSON.parse(items); } catch (e) { items = []; } }
+    return Array.isArray(items) ? items : [];
+}
+
+/**
+ * What an exchange should hold: one line per item,
+ * { lineItemId, productId, variantId, productTitle, variantTitle, quantity }.
+ * Items without a resolvable variant are skipped.
+ */
+function reservationLines(requestItems) {
+    const lines = [];
+    for (const item of parseItems(requestItems)) {
+        const replaced = item.replacementVariantId && item.replacementVariantId !== 'Same';
+        const variantId = replaced ? item.replacementVariantId : item.variantId;
+        if (!variantId || item.id == null) continue;
+        const productId = (replaced && item.replacementProductId) || item.productId;
+        lines.push({
+            lineItemId: String(item.id),
+            productId: productId ? String(productId) : null,
+            variantId: String(variantId),
+            productTitle: (replaced && item.replacementProductTitle) || item.name || null,
+            variantTitle: (replaced && item.replacementVariant) || item.variant || null,
+            quantity: parseInt(item.quantity, 10) || 1
+        });
+    }
+    return lines;
+}
+
+// Expiry for a new hold; null when holds never expire (days <= 0)
+function holdExpiry(days, from = Date.now()) {
+    const n = parseInt(days, 10);
+    if (!Number.isFinite(n) || n <= 0) return null;
+    return new Date(from + n * DAY_MS).toISOString();
+}
+
+// Does Shopify limit this variant's stock at all?
+function isTracked(variant) {
+    return Boolean(variant) && variant.inventory_management === 'shopify' && variant.inventory_policy !== 'continue';
+}
+
+/**
+ * Units held per variant: { [variantId]: quantity }, optionally ignoring one
+ * request's own holds (a customer editing their request shouldn't compete
+ * with themselves).
+ */
+function heldByVariant(holds, { excludeRequestId = null } = {}) {
+    const totals = {};
+    for (const hold of holds || []) {
+        if (hold.status !== 'held' || hold.request_id === excludeRequestId) continue;
+        const key = String(hold.variant_id);
+        totals[key] = (totals[key] || 0) + (parseInt(hold.quantity, 10) || 0);
+    }
+    return totals;
+}
+
+/**
+ * Serve the held units of each variant from its Shopify stock, oldest hold
+ * first.
+ *
+ * holds:    active exchange_reservations rows
+ * variants: { [variantId]: { inventory_quantity, inventory_management, inventory_policy } }
+ *
+ * Returns { [variantId]: { stock, tracked, reserved, available, shortfall,
+ *   holds[{ ...row, fulfillable, shortBy }] } }. stock is null when the
+ * variant couldn't be loaded; those holds count as fulfillable.
+ */
+function allocateHolds(holds, variants) {
+    const byVariant = {};
+    const ordered = [...(holds || [])]
+        .filter(h => h.status === 'held')
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    for (const hold of ordered) {
+        const key = String(hold.variant_id);
+        if (!byVariant[key]) {
+            const variant = (variants || {})[key] || null;
+            byVariant[key] = {
+                stock: variant ? Number(variant.inventory_quantity) || 0 : null,
+                tracked: isTracked(variant),
+                reserved: 0,
+                available: null,
+                shortfall: 0,
+                holds: []
+            };
+        }
+        const entry = byVariant[key];
+        const quantity = parseInt(hold.quantity, 10) || 0;
+        const free = entry.tracked ? Math.max(0, entry.stock - entry.reserved) : Infinity;
+        const shortBy = Math.max(0, quantity - free);
+        entry.reserved += quantity;
+        entry.holds.push({ ...hold, fulfillable: shortBy === 0, shortBy });
+    }
+
+    for (const entry of Object.values(byVariant)) {
+        entry.available = entry.tracked ? entry.stock - entry.reserved : null;
+        entry.shortfall = entry.holds.reduce((s, h) => s + h.shortBy, 0);
+    }
+    return byVariant;
+}
+
+module.exports = {
+    RESERVATION_STATUSES,
+    RELEASE_REASONS,
+    reservationLines,
+    holdExpiry,
+    isTracked,
+    heldByVariant,
+    allocateHolds
+};
@@ -0,0 +1,271 @@
+/**
+ * Return policy rules engine.
+ *
+ * Admins maintain an ordered list of rules (return_policy_rules table) that
+ * decide, per order line item, whether it can be returned/exchanged, which
+ * request types are allowed, the return window, when the pickup fee is
+ * waived and whether the pickup is booked without manual review.
+ *
+ * Rules are evaluated by ascending priority and the FIRST active rule whose
+ * conditions all match wins (same semantics as the operator permission
+ * rules). Items no rule matches fall back to the global store settings
+ * (return_window_days / return_window_mode, defective + wrong_item waive
+ * the fee), so an empty rule table behaves exactly like before.
+ *
+ * Everything here is pure — callers load the rules and the product/customer
+ * context and pass them in.
+ */
+
+const REQUEST_TYPES = ['return', 'exchange'];
+const DEFAULT_FEE_WAIVED_REASONS = ['defective', 'wrong_item'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Condition keys that need data beyond the Shopify order itself. Callers use
+// these to skip the extra API/DB lookups when no active rule needs them.
+function rulesNeed(rules, key) {
+    return (rules || []).some(r => {
+        const c = r.conditions || {};
+        if (key === 'collections') return Array.isArray(c.collections) && c.collections.length > 0;
+        if (key === 'customer') return Array.isArray(c.customerSegments) && c.customerSegments.length > 0;
+        return false;
+    });
+}
+
+function toList(value) {
+    if (value == null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Map a return_policy_rules row (snake_case) to the shape the engine uses.
+ * Also accepts an already-normalized rule, so admin previews can pass drafts.
+ */
+function normalizeRule(row) {
+    if (!row) return null;
+    const c = row.conditions || {};
+    const allowedTypes = toList(row.allowed_types ?? row.allowedTypes)
+        .map(t => t.toLowerCase())
+        .filter(t => REQUEST_TYPES.includes(t));
+    const feeReasons = row.fee_waived_reasons ?? row.feeWaivedReasons;
+
+    return {
+        id: row.id ?? null,
+        name: row.name || 'Unnamed rule',
+        priority: Number.isFinite(Number(row.priority)) ? Number(row.priority) : 100,
+        isActive: (row.is_active ?? row.isActive) !== false,
+        conditions: {
+            productTypes: toList(c.productTypes),
+            collections: toList(c.collections),
+            tags: toList(c.tags),
+            skus: toList(c.skus),
+            vendors: toList(c.vendors),
+            customerSegments: toList(c.customerSegments),
+            onSale: typeof c.onSale === 'boolean' ? c.onSale : null,
+            minDiscountPercent: toNumberOrNull(c.minDiscountPercent),
+            maxDiscountPercent: toNumberOrNull(c.maxDiscountPercent),
+            minOrderValue: toNumberOrNull(c.minOrderValue),
+            maxOrderValue: toNumberOrNull(c.maxOrderValue)
+        },
+        eligible: (row.eligible ?? true) !== false,
+        allowedTypes: allowedTypes.length > 0 ? allowedTypes : [...REQUEST_TYPES],
+        windowDays: toNumberOrNull(row.window_days ?? row.windowDays),
+        windowMode: ['delivery', 'order'].includes(row.window_mode ?? row.windowMode) ? (row.window_mode ?? row.windowMode) : null,
+        // null = store default (defective/wrong_item); ['*'] = always free; [] = always charged
+        feeWaivedReasons: feeReasons == null ? null : toList(feeReasons),
+        autoApprove: (row.auto_approve ?? row.autoApprove) === true,
+        customerMessage: row.customer_message ?? row.customerMessage ?? null
+    };
+}
+
+/**
+ * Validate an admin-submitted rule. Returns an error message or null.
+ */
+function validateRule(rule) {
+    if (!rule.name || !String(rule.name).trim()) return 'Rule name is required';
+    const raw = rule.allowed_types ?? rule.allowedTypes;
+    const unknownType = toList(raw).find(t => !REQUEST_TYPES.includes(t.toLowerCase()));
+    if (unknownType) return `Unknown request type: ${unknownType}`;
+    const windowDays = toNumberOrNull(rule.window_days ?? rule.windowDays);
+    if (windowDays !== null && (windowDays < 0 || windowDays > 365)) return 'Window days must be between 0 and 365';
+    const mode = rule.window_mode ?? rule.windowMode;
+    if (mode && !['delivery', 'order'].includes(mode)) return 'Window mode must be "delivery" or "order"';
+    const c = rule.conditions || {};
+    for (const key of ['minDiscountPercent', 'maxDiscountPercent', 'minOrderValue', 'maxOrderValue']) {
+        if (c[key] !== undefined && c[key] !== null && c[key] !== '' && toNumberOrNull(c[key]) === null) {
+            return `${key} must be a number`;
+        }
+    }
+    return null;
+}
+
+function listMatches(wanted, actual) {
+    if (wanted.length === 0) return true;
+    const have = new Set(actual.map(v => String(v).trim().toLowerCase()).filter(Boolean));
+    return wanted.some(w => have.has(w.toLowerCase()));
+}
+
+// SKU patterns support a trailing '*' for prefix matches (e.g. "FS-*")
+function skuMatches(patterns, sku) {
+    if (patterns.length === 0) return true;
+    if (!sku) return false;
+    const value = String(sku).toLowerCase();
+    return patterns.some(p => {
+        const pattern = p.toLowerCase();
+        return pattern.endsWith('*') ? value.startsWith(pattern.slice(0, -1)) : value === pattern;
+    });
+}
+
+function inRange(value, min, max) {
+    if (min === null && max === null) return true;
+    if (value === null || value === undefined || !Number.isFinite(value)) return false;
+    if (min !== null && value < min) return false;
+    if (max !== null && value > max) return false;
+    return true;
+}
+
+/**
+ * Does a (normalized) rule apply to this line item?
+ *
+ * item:    { sku, productType, vendor, tags[], collections[], discountPercent, onSale }
+ * context: { orderValue, customerSegments[] }
+ */
+function ruleMatches(rule, item, context = {}) {
+    const c = rule.conditions;
+    return listMatches(c.productTypes, [item.productType || ''])
+        && listMatches(c.vendors, [item.vendor || ''])
+        && listMatches(c.tags, item.tags || [])
+        && listMatches(c.collections, item.collections || [])
+        && listMatches(c.customerSegments, context.customerSegments || [])
+        && skuMatches(c.skus, item.sku)
+        && (c.onSale === null || Boolean(item.onSale) === c.onSale)
+        && inRange(item.discountPercent, c.minDiscountPercent, c.maxDiscountPercent)
+        && inRange(context.orderValue, c.minOrderValue, c.maxOrderValue);
+}
+
+/**
+ * Resolve the policy for one line item: first matching rule, else the store
+ * defaults. `defaults` carries { windowDays, windowMode } from settings.
+ */
+function resolveItemPolicy(rules, item, context, defaults) {
+    const ordered = (rules || [])
+        .filter(r => r && r.isActive)
+        .sort((a, b) => a.priority - b.priority);
+    const rule = ordered.find(r => ruleMatches(r, item, context)) || null;
+
+    return {
+        ruleId: rule ? rule.id : null,
+        ruleName: rule ? rule.name : 'Default policy',
+        eligible: rule ? rule.eligible : true,
+        allowedTypes: rule ? rule.allowedTypes : [...REQUEST_TYPES],
+        windowDays: rule && rule.windowDays !== null ? rule.windowDays : defaults.windowDays,
+        windowMode: (rule && rule.windowMode) || defaults.windowMode,
+        feeWaivedReasons: rule && rule.feeWaivedReasons !== null ? rule.feeWaivedReasons : [...DEFAULT_FEE_WAIVED_REASONS],
+        autoApprove: rule ? rule.autoApprove : false,
+        customerMessage: rule ? rule.customerMessage : null
+    };
+}
+
+/**
+ * Apply the item's return window to a resolved policy.
+ * dates: { orderDate, deliveredDate, isFulfilled, now }
+ * Returns the policy plus { withinWindow, referenceDate, daysSinceReference, eligible, message }.
+ */
+function applyPolicyWindow(policy, dates) {
+    const now = dates.now || Date.now();
+    let referenceDate = null;
+    let daysSinceReference = null;
+    let withinWindow = false;
+
+    if (policy.windowMode === 'order') {
+        referenceDate = dates.orderDate || null;
+    } else {
+        referenceDate = dates.deliveredDate || null;
+    }
+
+    if (referenceDate) {
+        daysSinceReference = (now - new Date(referenceDate).getTime()) / DAY_MS;
+        withinWindow = daysSinceReference <= policy.windowDays;
+    } else if (policy.windowMode !== 'order' && dates.isFulfilled) {
+        // No delivery date available yet — allow if fulfilled (pickup pending)
+        withinWindow = true;
+    }
+
+    const windowText = policy.windowMode === 'order' ? 'order date' : 'delivery';
+    let message;
+    if (!policy.eligible) {
+        message = policy.customerMessage || 'This item is not eligible for return or exchange.';
+    } else if (!dates.isFulfilled) {
+        message = 'Order must be delivered before exchange/return';
+    } else if (!withinWindow) {
+        message = `Return/exchange window has closed. Requests must be raised within ${policy.windowDays} days of ${windowText}.`;
+    } else if (policy.allowedTypes.length < REQUEST_TYPES.length) {
+        message = policy.customerMessage || `This item can only be ${policy.allowedTypes[0] === 'exchange' ? 'exchanged' : 'returned'}.`;
+    } else {
+        message = policy.customerMessage || 'Item is eligible for exchange/return';
+    }
+
+    return {
+        ...policy,
+        referenceDate,
+        daysSinceReference: daysSinceReference === null ? null : Math.round(daysSinceReference * 10) / 10,
+        withinWindow,
+        eligible: policy.eligible && Boolean(dates.isFulfilled) && withinWindow,
+        message
+    };
+}
+
+function isFeeWaivedByPolicy(policy, reason) {
+    const reasons = policy.feeWaivedReasons || DEFAULT_FEE_WAIVED_REASONS;
+    return reasons.includes('*') || (reason ? reasons.includes(reason) : false);
+}
+
+/**
+ * Combine the per-item policies of one submission into a request decision.
+ * A request is only fee-waived / auto-approved when EVERY item's rule agrees,
+ * and any item whose rule blocks the request type blocks the whole request.
+ */
+function summarizeRequestPolicy(itemPolicies, { type, reason }) {
+    const policies = itemPolicies.filter(Boolean);
+    const blocked = policies.filter(p => !p.eligible || !p.allowedTypes.includes(type));
+    return {
+        allowed: blocked.length === 0,
+        blocked,
+        feeWaived: policies.length > 0 && policies.every(p => isFeeWaivedByPolicy(p, reason)),
+        autoApprove: policies.length > 0 && policies.every(p => p.autoApprove),
+        rules: [...new Set(policies.map(p => p.ruleName))]
+    };
+}
+
+// Compact snapshot persisted on each request item so later steps (payment
+// finalization, admin review) know which rule applied at submission time.
+function policySnapshot(policy, reason) {
+    if (!policy) return null;
+    return {
+        ruleId: policy.ruleId,
+        ruleName: policy.ruleName,
+        allowedTypes: policy.allowedTypes,
+        feeWaived: isFeeWaivedByPolicy(policy, reason),
+        autoApprove: policy.autoApprove
+    };
+}
+
+module.exports = {
+    REQUEST_TYPES,
+    DEFAULT_FEE_WAIVED_REASONS,
+    rulesNeed,
+    normalizeRule,
+    validateRule,
+    ruleMatches,
+    resolveItemPolicy,
+    applyPolicyWindow,
+    isFeeWaivedByPolicy,
+    summarizeRequestPolicy,
+    policySnapshot
+};
@@ -0,0 +1,140 @@
+/**
+ * Customer self-service on a booked return pickup.
+ *
+ * From the tracking page, before the parcel is picked up, the customer can:
+ *
+ *   reschedule  move the pickup to another day (pushed to the carrier, or the
+ *               booking is cancelled and rebooked on that morning)
+ *   address     correct the pickup address (pushed to the carrier when it
+ *               allows same-pincode edits, otherwise rebooked); the phone on
+ *               the request is what the customer logged in with and stays
+ *
+ * Each action is limited per request (self_service_max_reschedules /
+ * _max_address_changes) and logged on the request (self_service_changes).
+ * Viewing the options takes a portal session (config/customer-portal.js) or
+ * the phone or email on the request; changes always take a portal session.
+ *
+ * Pure helpers only — server.js talks to the carriers and stores changes.
+ */
+
+const SELF_SERVICE_ACTIONS = ['reschedule', 'address'];
+
+// Statuses where the pickup is booked but not yet done
+const RESCHEDULABLE_STATUSES = ['pickup_booked', 'scheduled'];
+// Address fixes also apply before booking — the booking then uses them
+const ADDRESS_EDITABLE_STATUSES = ['pending', 'pickup_pending', 'pickup_booked', 'scheduled'];
+
+const DEFAULTS = { maxReschedules: 2, maxAddressChanges: 1, windowDays: 7 };
+
+function normalizeSettings({ enabled, maxReschedules, maxAddressChanges, windowDays } = {}) {
+    const count = (value, fallback) => {
+        const n = parseInt(value, 10);
+        return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+    return {
+        enabled: enabled === true || enabled === 'true',
+        maxReschedules: count(maxReschedules, DEFAULTS.maxReschedules),
+        maxAddressChanges: count(maxAddressChanges, DEFAULTS.maxAddressChanges),
+        windowDays: Math.max(1, count(windowDays, DEFAULTS.windowDays))
+    };
+}
+
+function lastTenDigits(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+// Does the phone / email the customer gave belong to the request?
+function matchesContact(request, contact) {
+    if (!request || !contact) return false;
+    const input = String(contact).trim().toLowerCase();
+    if (input.includes('@')) {
+        return [request.customerEmail, request.email].some(e => e && String(e).trim().toLowerCase() === input);
+    }
+    const phone = lastTenDigits(input);
+    return !!phone && lastTenDigits(request.customerPhone) === phone;
+}
+
+// Failed attempts don't use up the limit
+function countChanges(changes, action) {
+    return (changes || []).filter(c => c.action === action && c.outcome !== 'failed').length;
+}
+
+// YYYY-MM-DD plus n days (calendar arithmetic, no timezone shifts)
+function addDays(day, n) {
+    const d = new Date(`${day}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+// Pickup days on offer: tomorrow up to windowDays ahead, carriers don't pick up on Sundays
+function rescheduleDates(today, windowDays) {
+    const dates = [];
+    for (let i = 1; i <= windowDays; i++) {
+        const day = addDays(today, i);
+        if (new Date(`${day}T00:00:00Z`).getUTCDay() !== 0) dates.push(day);
+    }
+    return dates;
+}
+
+/**
+ * What the customer may do right now:
+ * { reschedule: { allowed, remaining, reason, dates[] }, address: { allowed, remaining, reason } }
+ */
+function availableActions(request, settings, today) {
+    const changes = request.selfServiceChanges || [];
+    const verdict = (statuses, max, action, notAllowedReason) => {
+        const remaining = Math.max(0, max - countChanges(changes, action));
+        let reason = null;
+        if (!settings.enabled) reason = 'Self-service changes are not available';
+        else if (!statuses.includes(request.status)) reason = notAllowedReason;
+        else if (remaining === 0) reason = 'You have already made the maximum number of changes. Please contact support.';
+        return { allowed: !reason, remaining, reason };
+    };
+    const reschedule = verdict(RESCHEDULABLE_STATUSES, settings.maxReschedules, 'reschedule',
+        request.status === 'pickup_pending' && request.pickupRebookOn
+            ? `Your pickup is already moved to ${request.pickupRebookOn}`
+            : 'The pickup can only be rescheduled once it is booked and before it is picked up');
+    const address = verdict(ADDRESS_EDITABLE_STATUSES, settings.maxAddressChanges, 'address',
+        'The pickup address can no longer be changed');
+    return {
+        reschedule: { ...reschedule, dates: reschedule.allowed ? rescheduleDates(today, settings.windowDays) : [] },
+        address
+    };
+}
+
+/**
+ * Validate a corrected pickup address. Returns { value, error } — value is
+ * { address, city, state, pincode }.
+ */
+function normalizeAddress(input = {}) {
+    const text = v => String(v == null ? '' : v).replace(/\s+/g, ' ').trim();
+    const value = {
+        address: text(input.address).substring(0, 190),
+        city: text(input.city),
+        state: text(input.state),
+        pincode: text(input.pincode)
+    };
+    if (value.address.length < 10) return { value, error: 'Please enter the full address (house / flat, street, area)' };
+    if (!value.city || !value.state) return { value, error: 'City and state are required' };
+    if (!/^\d{6}$/.test(value.pincode)) return { value, error: 'Please enter a valid 6-digit pincode' };
+    return { value, error: null };
+}
+
+// Log entry for self_service_changes
+function changeEntry(action, { from = null, to = null, outcome, message = null, at = new Date().toISOString() }) {
+    return { action, at, from, to, outcome, message };
+}
+
+module.exports = {
+    SELF_SERVICE_ACTIONS,
+    RESCHEDULABLE_STATUSES,
+    ADDRESS_EDITABLE_STATUSES,
+    normalizeSettings,
+    matchesContact,
+    countChanges,
+    rescheduleDates,
+    availableActions,
+    normalizeAddress,
+    changeEntry
+};
@@ -0,0 +1,88 @@
+/**
+ * Pincode serviceability and rates across carriers.
+ *
+ * Every configured carrier adapter is asked whether it serves a pincode (and
+ * at what rate / how fast, where the carrier quotes it). The answers decide:
+ *
+ *   - what the customer is told at order lookup: doorstep pickup available,
+ *     or ship the parcel to the warehouse themselves
+ *   - which carrier books the pickup / dispatch when carrier_selection is
+ *     'cheapest' or 'fastest' instead of the static carrier mode ('mode')
+ *
+ * Pure helpers only — server.js calls the carriers and caches the results.
+ */
+
+const SELECTION_STRATEGIES = ['mode', 'cheapest', 'fastest'];
+const DIRECTIONS = ['return', 'forward'];
+
+function isValidPincode(pincode) {
+    return /^\d{6}$/.test(String(pincode || '').trim());
+}
+
+function normalizeStrategy(value) {
+    return SELECTION_STRATEGIES.includes(value) ? value : 'mode';
+}
+
+// Pickups are return shipments (customer → warehouse), dispatches forward ones
+function directionFor(operationType) {
+    return operationType === 'dispatch' ? 'forward' : 'return';
+}
+
+function cacheKey(pincode, direction) {
+    return `${String(pincode).trim()}:${direction}`;
+}
+
+/**
+ * Overall verdict from per-carrier results
+ * ([{ carrier, serviceable: true | false | null, cod, rate, etaDays, message }],
+ * serviceable null = the carrier couldn't be asked).
+ *
+ * available is true when any carrier serves the pincode, false when every
+ * carrier answered no, and null when nobody could answer — an unknown never
+ * blocks doorstep pickup.
+ */
+function summarize(results) {
+    const list = results || [];
+    const serving = list.filter(r => r.serviceable === true);
+    const answered = list.filter(r => r.serviceable !== null && r.serviceable !== undefined);
+    return {
+        available: serving.length > 0 ? true : (answered.length > 0 && answered.length === list.length ? false : null),
+        cod: serving.some(r => r.cod),
+        carriers: serving.map(r => r.carrier)
+    };
+}
+
+/**
+ * Serviceable carriers, best first, for a selection strategy.
+ *
+ * 'cheapest' sorts by quoted rate, 'fastest' by quoted days; carriers without
+ * a quote come after those with one. Ties (and 'mode') keep `preferred` order —
+ * the carrier mode's primary and fallback first, then registry order.
+ */
+function rankCarriers(results, strategy, preferred = []) {
+    const order = id => {
+        const i = preferred.indexOf(id);
+        return i === -1 ? preferred.length : i;
+    };
+    const metric = strategy === 'cheapest' ? 'rate' : strategy === 'fastest' ? 'etaDays' : null;
+    const value = r => {
+        const n = metric ? parseFloat(r[metric]) : NaN;
+        return Number.isFinite(n) ? n : Infinity;
+    };
+    return (results || [])
+        .filter(r => r.serviceable === true)
+        .map((r, i) => ({ r, i }))
+        .sort((a, b) => (value(a.r) - value(b.r)) || (order(a.r.carrier) - order(b.r.carrier)) || (a.i - b.i))
+        .map(({ r }) => r.carrier);
+}
+
+module.exports = {
+    SELECTION_STRATEGIES,
+    DIRECTIONS,
+    isValidPincode,
+    normalizeStrategy,
+    directionFor,
+    cacheKey,
+    summarize,
+    rankCarriers
+};
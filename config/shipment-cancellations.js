@@ -0,0 +1,85 @@
+/**
+ * Carrier-side cancellation of shipments a request no longer uses.
+ *
+ * Resetting a pickup, re-dispatching, creating a duplicate pickup / forward
+ * order, rejecting or deleting a request used to only clear the AWB locally,
+ * leaving the waybill live at the carrier (couriers still turned up, or billed
+ * us). Now each dropped AWB is cancelled through its carrier adapter and
+ * recorded in shipment_cancellations, one row per AWB:
+ *
+ *   cancelled  the carrier confirmed (or reported it already cancelled)
+ *   failed     the carrier refused / errored — shown to admins for a retry
+ *   dismissed  an admin handled it with the carrier by hand
+ *
+ * Pure helpers only — server.js calls the carriers, db-helpers.js stores rows.
+ */
+
+const CANCEL_REASONS = ['reset', 'redispatch', 'duplicate', 'rejected', 'deleted', 'manual', 'self_service', 'sla'];
+const CANCELLATION_STATUSES = ['cancelled', 'failed', 'dismissed'];
+
+// Leg states with nothing left to cancel
+const RETURN_LEG_DONE = ['delivered', 'inspected', 'approved', 'completed'];
+const FORWARD_LEG_DONE = ['delivered'];
+// Request states that no longer own their shipments
+const INACTIVE_REQUEST_STATUSES = ['rejected', 'cancelled'];
+// Mapped carrier statuses after which a shipment is no longer live
+const FINISHED_SHIPMENT_STATUSES = ['delivered', 'cancelled', 'failed'];
+
+/**
+ * Shipments of a request that can still be cancelled:
+ * [{ requestId, leg, carrier, awb, shipmentId }]. `carrierOf(leg)` resolves
+ * the carrier of each leg (server.js detection).
+ */
+function requestShipments(request, legs, carrierOf) {
+    const shipments = [];
+    if (!request) return shipments;
+    if (legs.includes('return')) {
+        const awb = request.awbNumber || request.carrierAwb;
+        if (awb && !RETURN_LEG_DONE.includes(request.status)) {
+            shipments.push({
+                requestId: request.requestId,
+                leg: 'return',
+                carrier: carrierOf('return'),
+                awb: String(awb),
+                shipmentId: request.shipmentId || request.carrierShipmentId || null
+            });
+        }
+    }
+    if (legs.includes('forward') && request.forwardAwbNumber && !FORWARD_LEG_DONE.includes(request.forwardStatus)) {
+        shipments.push({
+            requestId: request.requestId,
+            leg: 'forward',
+            carrier: carrierOf('forward'),
+            awb: String(request.forwardAwbNumber),
+            shipmentId: request.forwardShipmentId || null
+        });
+    }
+    return shipments;
+}
+
+// Carriers answer a repeat cancellation with an error; that's still cancelled
+function isAlreadyCancelled(message) {
+    return /already\s+(been\s+)?cancel/i.test(String(message || ''));
+}
+
+// Does this (active) request still ship on the AWB?
+function ownsAwb(request, leg, awb) {
+    if (!request || INACTIVE_REQUEST_STATUSES.includes(request.status)) return false;
+    const a = String(awb);
+    if (leg === 'forward') return String(request.forwardAwbNumber || '') === a;
+    return String(request.awbNumber || '') === a || String(request.carrierAwb || '') === a;
+}
+
+function isLiveShipment(mappedStatus) {
+    return !FINISHED_SHIPMENT_STATUSES.includes(mappedStatus);
+}
+
+module.exports = {
+    CANCEL_REASONS,
+    CANCELLATION_STATUSES,
+    INACTIVE_REQUEST_STATUSES,
+    requestShipments,
+    isAlreadyCancelled,
+    ownsAwb,
+    isLiveShipment
+};
@@ -0,0 +1,181 @@
+/**
+ * Bulk pickup booking from a CSV (admin Import Pickups).
+ *
+ * Replaces the shell scripts (ship-csv-to-delhivery.js,
+ * book-delhivery-pickups-from-csv.js) that booked pickups from a Shiprocket
+ * export. The operator uploads the CSV, maps its columns, and gets a dry run:
+ *
+ *   book    pending request, no AWB, pincode served — queued on confirm
+ *   skip    nothing to do: already booked / queued, cancelled in the CSV, or a
+ *           repeat of an earlier row (one row per product in Shiprocket exports)
+ *   reject  can't be booked: no such request / request ID, unserviceable pincode
+ *
+ * Confirming re-plans the file server-side and queues one book_pickup job per
+ * "book" row (config/job-queue.js); the import keeps the job ids for progress.
+ *
+ * Pure helpers only — server.js looks up requests, serviceability and jobs.
+ */
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+// Columns the import reads; aliases match the Shiprocket export headers
+const IMPORT_FIELDS = [
+    { key: 'requestId', label: 'Request ID', required: true, aliases: ['order id', 'request id', 'request_id', 'requestid'] },
+    { key: 'awb', label: 'Existing AWB', required: false, aliases: ['awb code', 'awb', 'awb number', 'awb_number'] },
+    { key: 'status', label: 'Status', required: false, aliases: ['status'] },
+    { key: 'customerName', label: 'Customer name', required: false, aliases: ['customer name', 'name'] },
+    { key: 'pincode', label: 'Pincode', required: false, aliases: ['address pincode', 'pincode', 'pin code', 'pin'] }
+];
+
+const IMPORT_ACTIONS = ['book', 'skip', 'reject'];
+// Request states a CSV row may book a pickup for
+const BOOKABLE_STATUSES = ['pending', 'pickup_pending'];
+
+/**
+ * RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line breaks.
+ * Returns { headers, rows } with rows as { header: value } objects plus their
+ * 1-based file line (`_line`); blank lines are dropped.
+ */
+function parseCsv(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push({ values: record, line: recordLine });
+            record = [];
+            field = '';
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ values: record, line: recordLine });
+    }
+
+    const nonBlank = records.filter(r => r.values.some(v => v.trim() !== ''));
+    if (nonBlank.length === 0) return { headers: [], rows: [] };
+
+    const headers = nonBlank[0].values.map(h => h.trim());
+    const rows = nonBlank.slice(1).map(r => {
+        const row = { _line: r.line };
+        headers.forEach((header, i) => { row[header] = (r.values[i] || '').trim(); });
+        return row;
+    });
+    return { headers, rows };
+}
+
+// Best guess of { fieldKey: header } from the header names
+function guessMapping(headers) {
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const header = headers.find(h => field.aliases.includes(h.toLowerCase()));
+        if (header) mapping[field.key] = header;
+    }
+    return mapping;
+}
+
+// Keep only known fields mapped to headers the file has
+function normalizeMapping(mapping, headers) {
+    const normalized = {};
+    for (const field of IMPORT_FIELDS) {
+        const header = mapping && mapping[field.key];
+        if (header && headers.includes(header)) normalized[field.key] = header;
+    }
+    return normalized;
+}
+
+// Shiprocket writes a missing AWB as N/A or 'N/A'
+function hasAwb(value) {
+    const awb = String(value || '').replace(/'/g, '').trim();
+    return awb !== '' && !['N/A', 'NA', '-'].includes(awb.toUpperCase());
+}
+
+/**
+ * Dry-run plan of the CSV rows:
+ * [{ line, requestId, customerName, pincode, action, reason }].
+ *
+ * lookups: { requestsById: Map(requestId → request), queuedRequestIds: Set
+ * (live book_pickup jobs), pincodeOf(request), serviceable(pincode) →
+ * true | false | null (null = unknown, booked anyway) }.
+ */
+function planImport(rows, mapping, { requestsById, queuedRequestIds, pincodeOf, serviceable }) {
+    const firstLine = new Map();
+    return rows.map(row => {
+        const value = key => (mapping[key] ? row[mapping[key]] || '' : '');
+        const requestId = value('requestId').toUpperCase();
+        const request = requestId ? requestsById.get(requestId) : null;
+        const pincode = (request && pincodeOf(request)) || value('pincode') || null;
+        const planned = {
+            line: row._line,
+            requestId: requestId || null,
+            customerName: (request && request.customerName) || value('customerName') || null,
+            pincode,
+            action: 'book',
+            reason: null
+        };
+        const mark = (action, reason) => ({ ...planned, action, reason });
+
+        if (!requestId) return mark('reject', 'No request ID');
+        if (firstLine.has(requestId)) return mark('skip', `Duplicate of line ${firstLine.get(requestId)}`);
+        firstLine.set(requestId, row._line);
+
+        if (!request) return mark('reject', 'Request not found');
+        if (/cancel/i.test(value('status'))) return mark('skip', `Cancelled in the CSV (${value('status')})`);
+        const awb = request.awbNumber || request.carrierAwb;
+        if (awb) return mark('skip', `Already booked (AWB ${awb})`);
+        if (hasAwb(value('awb'))) return mark('skip', `Already booked in the CSV (AWB ${value('awb').replace(/'/g, '')})`);
+        if (!BOOKABLE_STATUSES.includes(request.status)) return mark('skip', `Status is ${request.status}`);
+        if (request.pickupRebookOn) return mark('skip', `Rescheduled by the customer for ${request.pickupRebookOn}`);
+        if (queuedRequestIds.has(requestId)) return mark('skip', 'Pickup booking already queued');
+        if (serviceable(pincode) === false) return mark('reject', `Pincode ${pincode} not serviceable`);
+        return planned;
+    });
+}
+
+function summarizePlan(plan) {
+    const summary = { total: plan.length, book: 0, skip: 0, reject: 0 };
+    for (const row of plan) summary[row.action]++;
+    return summary;
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    MAX_IMPORT_BYTES,
+    IMPORT_FIELDS,
+    IMPORT_ACTIONS,
+    BOOKABLE_STATUSES,
+    parseCsv,
+    guessMapping,
+    normalizeMapping,
+    hasAwb,
+    planImport,
+    summarizePlan
+};
@@ -0,0 +1,320 @@
+/**
+ * Printable shipping documents for forward (exchange replacement) dispatches.
+ *
+ *   labels    one PDF for many requests — the carrier's own label where the
+ *             carrier hands one out (URL or PDF), otherwise a 4x6" label we
+ *             render ourselves with a Code 128 barcode of the AWB
+ *   manifest  the day's dispatches grouped by carrier, one section per courier
+ *             with AWB, order, consignee, items and handover signature lines
+ *
+ * Pure rendering (pdf-lib) — server.js fetches carrier labels and requests.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const LABEL_SIZE = [288, 432]; // 4x6 inches
+const A4 = [595.28, 841.89];
+const MARGIN = 36;
+const BLACK = rgb(0, 0, 0);
+const GRAY = rgb(0.4, 0.4, 0.4);
+
+// Code 128 symbol widths (bar, space, bar, ...), values 0-105 then STOP
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * Module widths of a Code 128 (set B) barcode for printable ASCII text,
+ * alternating bar / space and starting with a bar.
+ */
+function code128Widths(text) {
+    const value = String(text);
+    if (!/^[\x20-\x7E]+$/.test(value)) throw new Error('Code 128 needs printable ASCII text');
+    const codes = [CODE128_START_B, ...Array.from(value, ch => ch.charCodeAt(0) - 32)];
+    const checksum = codes.reduce((sum, code, i) => sum + code * (i === 0 ? 1 : i), 0) % 103;
+    return [...codes, checksum, CODE128_STOP]
+        .map(code => CODE128_PATTERNS[code])
+        .join('')
+        .split('')
+        .map(Number);
+}
+
+// Standard PDF fonts only encode Latin-1 — anything else becomes '?'
+function pdfText(value) {
+    return String(value == null ? '' : value).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    for (const paragraph of pdfText(text).split(/\s*\n\s*/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (font.widthOfTextAtSize(candidate, size) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        }
+        if (line) lines.push(line);
+    }
+    return lines;
+}
+
+// Shorten a single line to fit a width
+function fitText(text, font, size, maxWidth) {
+    let value = pdfText(text);
+    if (font.widthOfTextAtSize(value, size) <= maxWidth) return value;
+    while (value.length > 1 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) value = value.slice(0, -1);
+    return `${value}...`;
+}
+
+// Replacement items of a request: [{ title, variant, quantity }]
+function dispatchItems(items) {
+    let list = items;
+    if (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch (e) { list = []; }
+    }
+    return (Array.isArray(list) ? list : []).map(item => ({
+        title: item.replacementProductTitle || item.name || item.title || 'Item',
+        variant: item.replacementVariant || item.variant || '',
+        quantity: parseInt(item.quantity, 10) || 1
+    }));
+}
+
+function itemsLine(items) {
+    return items.map(i => `${i.title}${i.variant ? ` (${i.variant})` : ''} x${i.quantity}`).join(', ');
+}
+
+/**
+ * Manifest sections from dispatched requests: one per carrier, in
+ * `carrierOrder`, each { carrier, shipments[] } sorted by AWB.
+ * `carrierOf(request)` resolves the forward carrier.
+ */
+function manifestGroups(requests, carrierOf, carrierOrder = []) {
+    const groups = new Map();
+    for (const request of requests || []) {
+        if (!request.forwardAwbNumber) continue;
+        const carrier = carrierOf(request);
+        if (!groups.has(carrier)) groups.set(carrier, []);
+        const items = dispatchItems(request.items);
+        groups.get(carrier).push({
+            awb: String(request.forwardAwbNumber),
+            requestId: request.requestId,
+            orderNumber: request.orderNumber,
+            consignee: request.customerName || 'Customer',
+            pincode: request.newPincode || request.shippingPincode || '',
+            items: itemsLine(items),
+            quantity: items.reduce((n, i) => n + i.quantity, 0),
+            dispatchedAt: request.forwardDispatchedAt || null
+        });
+    }
+    const rank = id => (carrierOrder.indexOf(id) === -1 ? carrierOrder.length : carrierOrder.indexOf(id));
+    return [...groups.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b) || String(a).localeCompare(String(b)))
+        .map(([carrier, shipments]) => ({ carrier, shipments: shipments.sort((a, b) => a.awb.localeCompare(b.awb)) }));
+}
+
+function drawBarcode(page, text, { x, y, width, height }) {
+    const widths = code128Widths(text);
+    const modules = widths.reduce((a, b) => a + b, 0);
+    const unit = width / modules;
+    let cursor = x;
+    widths.forEach((w, i) => {
+        if (i % 2 === 0) page.drawRectangle({ x: cursor, y, width: w * unit, height, color: BLACK });
+        cursor += w * unit;
+    });
+}
+
+/**
+ * Render our own 4x6" label onto a new page of `doc`. `label` is
+ * { awb, carrierName, orderNumber, requestId, consignee: { name, address,
+ * city, state, pincode, phone }, sender: { name, address, city, state,
+ * pincode, phone }, items[] (dispatchItems) }.
+ */
+function renderLabelPage(doc, fonts, label) {
+    const page = doc.addPage(LABEL_SIZE);
+    const [width, height] = LABEL_SIZE;
+    const inner = width - 24;
+    let y = height - 26;
+
+    page.drawText(fitText(label.carrierName || 'Courier', fonts.bold, 16, inner / 2), { x: 12, y, size: 16, font: fonts.bold });
+    page.drawText('PREPAID', { x: width - 12 - fonts.bold.widthOfTextAtSize('PREPAID', 12), y: y + 2, size: 12, font: fonts.bold });
+    y -= 14;
+    page.drawLine({ start: { x: 12, y }, end: { x: width - 12, y }, thickness: 1 });
+
+    y -= 64;
+    drawBarcode(page, label.awb, { x: 20, y, width: width - 40, height: 56 });
+    y -= 14;
+    const awbText = `AWB ${pdfText(label.awb)}`;
+    page.drawText(awbText, { x: (width - fonts.bold.widthOfTextAtSize(awbText, 11)) / 2, y, size: 11, font: fonts.bold });
+    y -= 10;
+    page.drawLine({ start: { x: 12, y }, end: { x: width - 12, y }, thickness: 1 });
+
+    const block = (title, party, size) => {
+        y -= 14;
+        page.drawText(title, { x: 12, y, size: 8, font: fonts.bold, color: GRAY });
+        y -= size + 3;
+        page.drawText(fitText(party.name || '', fonts.bold, size, inner), { x: 12, y, size, font: fonts.bold });
+        const address = [party.address, [party.city, party.state].filter(Boolean).join(', '), party.pincode ? `PIN ${party.pincode}` : null]
+            .filter(Boolean).join('\n');
+        for (const line of wrapText(address, fonts.regular, size - 1, inner).slice(0, 5)) {
+            y -= size + 1;
+            page.drawText(line, { x: 12, y, size: size - 1, font: fonts.regular });
+        }
+        if (party.phone) {
+            y -= size + 1;
+            page.drawText(`Ph: ${pdfText(party.phone)}`, { x: 12, y, size: size - 1, font: fonts.regular });
+        }
+    };
+    block('DELIVER TO', label.consignee || {}, 11);
+    y -= 8;
+    page.drawLine({ start: { x: 12, y }, end: { x: width - 12, y }, thickness: 0.5 });
+    block('RETURN ADDRESS', label.sender || {}, 8);
+    y -= 8;
+    page.drawLine({ start: { x: 12, y }, end: { x: width - 12, y }, thickness: 0.5 });
+
+    y -= 14;
+    page.drawText(fitText(`Order ${label.orderNumber || '-'}  |  ${label.requestId || ''}`, fonts.bold, 9, inner), { x: 12, y, size: 9, font: fonts.bold });
+    const items = label.items || [];
+    for (const line of wrapText(itemsLine(items), fonts.regular, 8, inner).slice(0, Math.max(1, Math.floor((y - 16) / 10)))) {
+        y -= 10;
+        page.drawText(line, { x: 12, y, size: 8, font: fonts.regular });
+    }
+    return page;
+}
+
+/**
+ * One PDF of labels. `entries` is [{ pdf: Buffer }] (carrier label, all pages
+ * copied) or [{ label }] (rendered with renderLabelPage), in print order.
+ */
+async function buildLabelsPdf(entries) {
+    const doc = await PDFDocument.create();
+    const fonts = {
+        regular: await doc.embedFont(StandardFonts.Helvetica),
+        bold: await doc.embedFont(StandardFonts.HelveticaBold)
+    };
+    for (const entry of entries) {
+        if (entry.pdf) {
+            const source = await PDFDocument.load(entry.pdf, { ignoreEncryption: true });
+            const pages = await doc.copyPages(source, source.getPageIndices());
+            pages.forEach(p => doc.addPage(p));
+        } else {
+            renderLabelPage(doc, fonts, entry.label);
+        }
+    }
+    return Buffer.from(await doc.save());
+}
+
+const MANIFEST_COLUMNS = [
+    { key: 'index', title: '#', width: 22 },
+    { key: 'awb', title: 'AWB', width: 100 },
+    { key: 'orderNumber', title: 'Order', width: 62 },
+    { key: 'consignee', title: 'Consignee / PIN', width: 110 },
+    { key: 'items', title: 'Items', width: 199 },
+    { key: 'quantity', title: 'Qty', width: 30 }
+];
+
+/**
+ * Courier handover manifest: each carrier group starts on a new A4 page with
+ * its shipment table, totals and signature lines. `groups` comes from
+ * manifestGroups with { carrierName } added; `meta` is { date, warehouse,
+ * generatedAt }.
+ */
+async function buildManifestPdf(groups, meta = {}) {
+    const doc = await PDFDocument.create();
+    const regular = await doc.embedFont(StandardFonts.Helvetica);
+    const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+    const [width, height] = A4;
+    const size = 8;
+
+    for (const group of groups) {
+        let page;
+        let y;
+        const header = continued => {
+            page = doc.addPage(A4);
+            y = height - MARGIN;
+            page.drawText(pdfText(`Dispatch Manifest - ${group.carrierName || group.carrier}${continued ? ' (continued)' : ''}`), { x: MARGIN, y: y - 14, size: 14, font: bold });
+            y -= 30;
+            page.drawText(pdfText(`Date: ${meta.date || '-'}   |   Shipments: ${group.shipments.length}   |   Pieces: ${group.shipments.reduce((n, s) => n + s.quantity, 0)}`), { x: MARGIN, y, size: 9, font: regular });
+            if (meta.warehouse) {
+                y -= 12;
+                page.drawText(fitText(`Pickup from: ${meta.warehouse}`, regular, 9, width - 2 * MARGIN), { x: MARGIN, y, size: 9, font: regular });
+            }
+            y -= 18;
+            let x = MARGIN;
+            for (const col of MANIFEST_COLUMNS) {
+                page.drawText(col.title, { x, y, size, font: bold });
+                x += col.width;
+            }
+            y -= 5;
+            page.drawLine({ start: { x: MARGIN, y }, end: { x: width - MARGIN, y }, thickness: 0.75 });
+        };
+        header(false);
+
+        group.shipments.forEach((s, i) => {
+            const cells = {
+                index: [String(i + 1)],
+                awb: [pdfText(s.awb)],
+                orderNumber: [fitText(s.orderNumber || '-', regular, size, 58)],
+                consignee: [fitText(s.consignee, regular, size, 106), pdfText(s.pincode)],
+                items: wrapText(s.items || '-', regular, size, 195).slice(0, 4),
+                quantity: [String(s.quantity)]
+            };
+            const rowHeight = Math.max(...Object.values(cells).map(lines => lines.length)) * (size + 2) + 6;
+            if (y - rowHeight < MARGIN + 90) header(true);
+            let x = MARGIN;
+            for (const col of MANIFEST_COLUMNS) {
+                cells[col.key].forEach((line, li) => {
+                    page.drawText(line, { x, y: y - (size + 2) * (li + 1), size, font: col.key === 'awb' ? bold : regular });
+                });
+                x += col.width;
+            }
+            y -= rowHeight;
+            page.drawLine({ start: { x: MARGIN, y: y + 2 }, end: { x: width - MARGIN, y: y + 2 }, thickness: 0.25, color: GRAY });
+        });
+
+        // Handover block
+        y -= 40;
+        const half = (width - 2 * MARGIN) / 2;
+        [['Handed over by (warehouse)', MARGIN], ['Received by (courier)', MARGIN + half]].forEach(([title, x]) => {
+            page.drawLine({ start: { x, y }, end: { x: x + half - 24, y }, thickness: 0.5 });
+            page.drawText(title, { x, y: y - 11, size: 8, font: regular });
+            page.drawText('Name / Signature / Date & time', { x, y: y - 21, size: 7, font: regular, color: GRAY });
+        });
+    }
+
+    if (groups.length === 0) {
+        const page = doc.addPage(A4);
+        page.drawText(pdfText(`Dispatch Manifest - ${meta.date || '-'}`), { x: MARGIN, y: height - MARGIN - 14, size: 14, font: bold });
+        page.drawText('No forward shipments were dispatched.', { x: MARGIN, y: height - MARGIN - 40, size: 10, font: regular });
+    }
+
+    if (meta.generatedAt) {
+        doc.getPages().forEach((page, i, pages) => {
+            page.drawText(pdfText(`Generated ${meta.generatedAt}   |   Page ${i + 1} of ${pages.length}`), { x: MARGIN, y: 18, size: 7, font: regular, color: GRAY });
+        });
+    }
+    return Buffer.from(await doc.save());
+}
+
+module.exports = {
+    code128Widths,
+    dispatchItems,
+    manifestGroups,
+    buildLabelsPdf,
+    buildManifestPdf
+};
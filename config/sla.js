@@ -0,0 +1,172 @@
+/**
+ * SLA tracking for requests stuck in one stage.
+ *
+ * Stuck requests used to be found with scripts (check-pickup-pending.js,
+ * find-failed-pickups.js). SLA rules (sla_rules) now say how long a request
+ * may sit in a stage, optionally per carrier:
+ *
+ *   statuses  stages the rule watches: request statuses, or 'exception' for a
+ *             carrier exception scan nobody has cleared (carrier_exception_at)
+ *   since     clock start: 'status' (entered the stage — status_changed_at),
+ *             'created', 'approved' or 'picked_up'
+ *   hours     allowed time from that start
+ *   action    on breach: 'notify' (digest only), 'reattempt' (ask the carrier
+ *             to retry the pickup tomorrow) or 'rebook' (cancel and book a new
+ *             pickup)
+ *
+ * e.g. pickup within 48h of booking  → [pickup_booked, scheduled], status, 48
+ *      warehouse within 7 days of pickup → [picked_up, in_transit,
+ *                                           out_for_delivery], picked_up, 168
+ *
+ * An hourly check opens one breach per request + rule, runs its action once,
+ * and resolves it when the request moves on. Open breaches go out to the
+ * operators in a digest.
+ *
+ * Pure helpers only — server.js runs the check, db-helpers.js stores it.
+ */
+
+const SLA_ACTIONS = ['notify', 'reattempt', 'rebook'];
+const SLA_ANCHORS = ['status', 'created', 'approved', 'picked_up'];
+const EXCEPTION_STAGE = 'exception';
+
+// Request statuses that are still in progress — the one list SLA rules and
+// operator workload (assignment.js) both count from
+const OPEN_STATUSES = [
+    'waiting_payment', 'pending', 'pickup_pending', 'scheduled', 'pickup_booked',
+    'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'inspected', 'approved'
+];
+
+// Stages a rule can watch (open statuses plus carrier exceptions)
+const SLA_STAGES = [...OPEN_STATUSES, EXCEPTION_STAGE];
+
+// Stages where the return pickup is booked but not done — reattempt / rebook apply
+const PICKUP_STAGES = ['pickup_pending', 'pickup_booked', 'scheduled'];
+
+const MAX_SLA_HOURS = 90 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rule row (snake_case) → { id, name, statuses, carrier, since, hours, action }
+function normalizeRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        statuses: Array.isArray(row.statuses) ? row.statuses : [],
+        carrier: row.carrier || null,
+        since: SLA_ANCHORS.includes(row.since) ? row.since : 'status',
+        hours: Number(row.max_hours) || 0,
+        action: SLA_ACTIONS.includes(row.action) ? row.action : 'notify',
+        isActive: row.is_active !== false
+    };
+}
+
+// Error message for an admin-submitted rule, or null when it is valid
+function validateRule(body) {
+    if (!body.name || !String(body.name).trim()) return 'Rule name is required';
+    if (!Array.isArray(body.statuses) || body.statuses.length === 0) return 'Pick at least one status';
+    const unknown = body.statuses.filter(s => !SLA_STAGES.includes(s));
+    if (unknown.length > 0) return `Unknown status: ${unknown.join(', ')}`;
+    const hours = Number(body.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SLA_HOURS) return `Hours must be a whole number from 1 to ${MAX_SLA_HOURS}`;
+    if (body.since && !SLA_ANCHORS.includes(body.since)) return `since must be one of: ${SLA_ANCHORS.join(', ')}`;
+    if (body.action && !SLA_ACTIONS.includes(body.action)) return `action must be one of: ${SLA_ACTIONS.join(', ')}`;
+    if (body.action && body.action !== 'notify' && !body.statuses.every(s => PICKUP_STAGES.includes(s))) {
+        return `Re-attempt and rebook only apply to ${PICKUP_STAGES.join(', ')}`;
+    }
+    return null;
+}
+
+// Stages a request is in right now (its status, plus 'exception' while one is open)
+function requestStages(request) {
+    const stages = [request.status];
+    if (request.carrierExceptionAt && OPEN_STATUSES.includes(request.status)) stages.push(EXCEPTION_STAGE);
+    return stages;
+}
+
+// When the rule's clock started for this request (ISO), or null
+function clockStart(request, rule, stage) {
+    if (stage === EXCEPTION_STAGE) return request.carrierExceptionAt || null;
+    switch (rule.since) {
+        case 'created': return request.createdAt || null;
+        case 'approved': return request.approvedAt || null;
+        case 'picked_up': return request.pickedUpAt || null;
+        default: return request.statusChangedAt || request.updatedAt || request.createdAt || null;
+    }
+}
+
+/**
+ * Rules a request breaches at `now`: [{ rule, stage, startedAt, dueAt,
+ * overdueHours }]. `carrier` is the request's return-leg carrier.
+ */
+function evaluateRequest(request, rules, carrier, now = Date.now()) {
+    const stages = requestStages(request);
+    const breaches = [];
+    for (const rule of rules) {
+        if (!rule.isActive || rule.hours <= 0) continue;
+        if (rule.carrier && rule.carrier !== carrier) continue;
+        const stage = rule.statuses.find(s => stages.includes(s));
+        if (!stage) continue;
+
+        const startedAt = clockStart(request, rule, stage);
+        const start = startedAt ? new Date(startedAt).getTime() : NaN;
+        if (!Number.isFinite(start)) continue;
+        const due = start + rule.hours * HOUR_MS;
+        if (due > now) continue;
+
+        breaches.push({
+            rule,
+            stage,
+            startedAt: new Date(start).toISOString(),
+            dueAt: new Date(due).toISOString(),
+            overdueHours: Math.floor((now - due) / HOUR_MS)
+        });
+    }
+    return breaches;
+}
+
+// "2d 5h" / "7h"
+function formatHours(hours) {
+    const h = Math.max(0, Math.floor(hours));
+    return h >= 24 ? `${Math.floor(h / 24)}d ${h % 24}h` : `${h}h`;
+}
+
+/**
+ * Plain-text digest of open breaches (sla_breaches rows), grouped by rule,
+ * longest overdue first; "new" = not in a digest yet. At most `perRule`
+ * request lines per rule.
+ */
+function buildDigest(breaches, now = Date.now(), perRule = 15) {
+    if (breaches.length === 0) return '';
+    const groups = new Map();
+    for (const b of breaches) {
+        if (!groups.has(b.rule_name)) groups.set(b.rule_name, []);
+        groups.get(b.rule_name).push(b);
+    }
+
+    const fresh = breaches.filter(b => !b.escalated_at).length;
+    const lines = [`⏰ SLA digest: ${breaches.length} open breach(es)${fresh > 0 ? `, ${fresh} new` : ''}`];
+    for (const [name, rows] of groups) {
+        rows.sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+        lines.push('', `*${name}* (${rows.length})`);
+        for (const b of rows.slice(0, perRule)) {
+            const overdue = formatHours((now - new Date(b.due_at).getTime()) / HOUR_MS);
+            lines.push(`• ${b.request_id} · ${b.stage}${b.carrier ? ` · ${b.carrier}` : ''} · ${overdue} over${b.action_result ? ` · ${b.action_result}` : ''}`);
+        }
+        if (rows.length > perRule) lines.push(`… and ${rows.length - perRule} more`);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    SLA_ACTIONS,
+    SLA_ANCHORS,
+    SLA_STAGES,
+    OPEN_STATUSES,
+    PICKUP_STAGES,
+    EXCEPTION_STAGE,
+    normalizeRule,
+    validateRule,
+    requestStages,
+    evaluateRequest,
+    formatHours,
+    buildDigest
+};
@@ -0,0 +1,141 @@
+/**
+ * Fallbacks for exchanges whose replacement is out of stock.
+ *
+ * When a replacement variant can't be covered (Shopify stock minus units held
+ * for other exchanges), the customer picks one of the configured options:
+ *
+ *   waitlist      keep the exchange; the replacement ships automatically once
+ *                 it is back in stock (store credit / return if it lapses)
+ *   similar       swap to the same size of another product from the same
+ *                 collection that is in stock
+ *   store_credit  turn the request into a return refunded as store credit
+ *                 with an extra bonus
+ *   return        turn the request into a plain return
+ *
+ * The choice is stored on the request (stock_resolution) with what was
+ * originally wanted (stock_resolution_details).
+ *
+ * Pure helpers only — server.js does the Shopify lookups.
+ */
+
+const { reservationLines, isTracked } = require('./reservations');
+
+const FALLBACK_OPTIONS = ['waitlist', 'similar', 'store_credit', 'return'];
+// Requests with these resolutions continue as returns
+const RETURN_RESOLUTIONS = ['store_credit', 'return'];
+const MAX_SIMILAR = 6;
+
+// Item fields that only mean something while the request is an exchange
+const REPLACEMENT_KEYS = [
+    'replacementProductId', 'replacementVariantId', 'replacementProductTitle', 'replacementProductImage',
+    'replacementVariant', 'replacementSku', 'replacementPrice', 'replacementUnitPrice', 'priceDifference', 'similarTo'
+];
+
+function parseItems(items) {
+    if (typeof items === 'string') { try { items = JSON.parse(items); } catch (e) { items = []; } }
+    return Array.isArray(items) ? items : [];
+}
+
+// Enabled options from the setting (JSON array or comma list), in canonical order
+function parseOptions(value) {
+    let list = value;
+    if (typeof list === 'string') {
+        try { list = JSON.parse(list); } catch (e) { list = list.split(','); }
+    }
+    const wanted = new Set((Array.isArray(list) ? list : []).map(o => String(o).trim()));
+    return FALLBACK_OPTIONS.filter(o => wanted.has(o));
+}
+
+/**
+ * Replacement lines the stock can't cover.
+ *
+ * variants: { [variantId]: Shopify variant with inventory_quantity }
+ * held:     { [variantId]: units held for other requests }
+ *
+ * Returns [{ lineItemId, productId, variantId, productTitle, variantTitle,
+ * quantity, available }]. Untracked variants and variants that couldn't be
+ * loaded are never short.
+ */
+function shortLines(requestItems, variants, held = {}) {
+    const short = [];
+    for (const line of reservationLines(requestItems)) {
+        const variant = (variants || {})[line.variantId];
+        if (!variant || !isTracked(variant)) continue;
+        const available = (Number(variant.inventory_quantity) || 0) - (held[line.variantId] || 0);
+        if (available < line.quantity) short.push({ ...line, available: Math.max(0, available) });
+    }
+    return short;
+}
+
+const norm = s => String(s || '').trim().toLowerCase();
+
+// The candidate's variant in the wanted size: same title, else same first option
+function matchVariant(wanted, variants) {
+    const list = variants || [];
+    return list.find(v => norm(v.title) === norm(wanted.title))
+        || (wanted.option1 ? list.find(v => norm(v.option1) === norm(wanted.option1)) : null)
+        || null;
+}
+
+/**
+ * In-stock alternatives for a wanted variant, closest in price first.
+ *
+ * products:      Shopify products (with variants) from the wanted product's collections
+ * wantedVariant: the out-of-stock Shopify variant (title, option1, price, product_id)
+ *
+ * Returns [{ productId, productTitle, image, variantId, variantTitle, price, available }];
+ * available is null for variants Shopify doesn't track.
+ */
+function rankSimilar(products, { wantedVariant, held = {}, quantity = 1, limit = MAX_SIMILAR }) {
+    if (!wantedVariant) return [];
+    const candidates = [];
+    for (const product of products || []) {
+        if (String(product.id) === String(wantedVariant.product_id)) continue;
+        if (product.status && product.status !== 'active') continue;
+        const variant = matchVariant(wantedVariant, product.variants);
+        if (!variant) continue;
+        const available = isTracked(variant) ? (Number(variant.inventory_quantity) || 0) - (held[String(variant.id)] || 0) : null;
+        if (available !== null && available < quantity) continue;
+        candidates.push({
+            productId: String(product.id),
+            productTitle: product.title,
+            image: product.image ? product.image.src : null,
+            variantId: String(variant.id),
+            variantTitle: variant.title,
+            price: parseFloat(variant.price) || 0,
+            available
+        });
+    }
+    const price = parseFloat(wantedVariant.price) || 0;
+    return candidates
+        .sort((a, b) => Math.abs(a.price - price) - Math.abs(b.price - price))
+        .slice(0, limit);
+}
+
+// Items of an exchange turned into a return: the replacement choice is dropped
+function asReturnItems(requestItems) {
+    return parseItems(requestItems).map(item => {
+        const copy = { ...item };
+        for (const key of REPLACEMENT_KEYS) delete copy[key];
+        return copy;
+    });
+}
+
+// What the customer originally wanted, kept in stock_resolution_details
+function wantedReplacements(requestItems) {
+    return reservationLines(requestItems).map(({ lineItemId, productId, variantId, productTitle, variantTitle, quantity }) => (
+        { lineItemId, productId, variantId, productTitle, variantTitle, quantity }
+    ));
+}
+
+module.exports = {
+    FALLBACK_OPTIONS,
+    RETURN_RESOLUTIONS,
+    MAX_SIMILAR,
+    parseOptions,
+    shortLines,
+    matchVariant,
+    rankSimilar,
+    asReturnItems,
+    wantedReplacements
+};
@@ -0,0 +1,114 @@
+/**
+ * Store-credit wallet calculations.
+ *
+ * Each customer (keyed by phone, else email — the same identities
+ * marketing_customers uses) has one store_credit_accounts row and an
+ * append-only store_credit_transactions ledger. Credits are "lots" with their
+ * own expiry and remaining amount; spending and expiry consume lots
+ * earliest-expiring first, so the balance is always the sum of live lots.
+ * Customers spend the balance at checkout through Shopify gift cards issued
+ * from the wallet.
+ *
+ * Pure helpers only — server.js and db-helpers.js do the I/O.
+ */
+
+const TRANSACTION_KINDS = ['credit', 'bonus', 'redeem', 'expire', 'adjust'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = n => Math.round((Number(n) || 0) * 100) / 100;
+
+// Lowercased email, or null. Commas, parentheses and quotes are refused
+// outright: they have no place in a customer's address.
+function normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    return /^[^\s@,()"'\\]+@[^\s@,()"'\\]+\.[^\s@,()"'\\]+$/.test(value) ? value : null;
+}
+
+/**
+ * Stable wallet key: "phone:91XXXXXXXXXX" when a valid Indian mobile is
+ * known, else "email:<lowercased>". normalizePhone is injected
+ * (otp-service.normalizeIndianPhone) to keep this module dependency-free.
+ */
+function customerKey({ phone, email }, normalizePhone) {
+    const p = phone ? normalizePhone(phone) : null;
+    if (p) return `phone:${p}`;
+    const e = normalizeEmail(email);
+    return e ? `email:${e}` : null;
+}
+
+// Expiry for a new lot; null when credits never expire (expiryDays <= 0)
+function computeExpiry(expiryDays, from = Date.now()) {
+    const days = parseInt(expiryDays, 10);
+    if (!Number.isFinite(days) || days <= 0) return null;
+    return new Date(from + days * DAY_MS).toISOString();
+}
+
+function bonusAmount(amount, bonusPercent) {
+    const pct = Math.min(100, Math.max(0, Number(bonusPercent) || 0));
+    return round2(amount * pct / 100);
+}
+
+function isLive(lot, now = Date.now()) {
+    return Number(lot.remaining) > 0 && (!lot.expires_at || new Date(lot.expires_at).getTime() > now);
+}
+
+// Earliest expiry first; never-expiring lots last; then oldest first
+function sortLots(lots) {
+    return [...lots].sort((a, b) => {
+        const ea = a.expires_at ? new Date(a.expires_at).getTime() : Infinity;
+        const eb = b.expires_at ? new Date(b.expires_at).getTime() : Infinity;
+        return ea - eb || new Date(a.created_at) - new Date(b.created_at);
+    });
+}
+
+/**
+ * Which lots a debit of `amount` draws from.
+ * Returns [{ id, take, remaining }] or null when live lots don't cover it.
+ */
+function allocateDebit(lots, amount, now = Date.now()) {
+    let left = round2(amount);
+    const plan = [];
+    for (const lot of sortLots(lots.filter(l => isLive(l, now)))) {
+        if (left <= 0) break;
+        const take = round2(Math.min(Number(lot.remaining), left));
+        plan.push({ id: lot.id, take, previous: round2(lot.remaining), remaining: round2(Number(lot.remaining) - take) });
+        left = round2(left - take);
+    }
+    return left > 0 ? null : plan;
+}
+
+function liveBalance(lots, now = Date.now()) {
+    return round2(lots.filter(l => isLive(l, now)).reduce((s, l) => s + Number(l.remaining), 0));
+}
+
+// Live lots expiring within `days` — shown to customers as "expiring soon"
+function expiringSoon(lots, days = 30, now = Date.now()) {
+    const horizon = now + days * DAY_MS;
+    return sortLots(lots.filter(l => isLive(l, now) && l.expires_at && new Date(l.expires_at).getTime() <= horizon))
+        .map(l => ({ amount: round2(l.remaining), expiresAt: l.expires_at }));
+}
+
+// Customer-facing view of a ledger row (no operator notes / ids)
+function publicTransaction(txn) {
+    return {
+        kind: txn.kind,
+        amount: round2(txn.amount),
+        balanceAfter: round2(txn.balance_after),
+        requestId: txn.request_id || null,
+        giftCardLastCharacters: txn.gift_card_last_characters || null,
+        expiresAt: txn.expires_at || null,
+        createdAt: txn.created_at
+    };
+}
+
+module.exports = {
+    TRANSACTION_KINDS,
+    normalizeEmail,
+    customerKey,
+    computeExpiry,
+    bonusAmount,
+    allocateDebit,
+    liveBalance,
+    expiringSoon,
+    publicTransaction
+};
@@ -0,0 +1,25 @@
+-- Migration: Carrier push webhooks (Delhivery / Shiprocket / Ekart)
+-- Created: 2026-10-19
+-- Purpose: POST /api/webhooks/carriers/:carrier applies scan events as they
+--          happen. Each push stamps the leg it belongs to so the hourly poll
+--          (performBackgroundSync) can skip AWBs the carrier already keeps
+--          current, saving tracking-API quota. Polling remains the fallback.
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS last_carrier_event_at TIMESTAMPTZ;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS last_carrier_event_source TEXT;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS last_return_event_at TIMESTAMPTZ;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS last_forward_event_at TIMESTAMPTZ;
+
+-- Webhook lookups match the pushed AWB against either leg
+CREATE INDEX IF NOT EXISTS idx_requests_awb_number ON requests(awb_number);
+CREATE INDEX IF NOT EXISTS idx_requests_forward_awb ON requests(forward_awb_number);
+
+COMMENT ON COLUMN requests.last_carrier_event_at IS 'Last carrier push webhook received for this request (either leg)';
+COMMENT ON COLUMN requests.last_carrier_event_source IS 'Carrier that sent the last push: delhivery, shiprocket or ekart';
+COMMENT ON COLUMN requests.last_return_event_at IS 'Last carrier push for the return (pickup) AWB; the poll skips this leg while fresh';
+COMMENT ON COLUMN requests.last_forward_event_at IS 'Last carrier push for the forward (replacement) AWB; the poll skips this leg while fresh';
+
+-- Minutes a pushed leg is considered fresh and skipped by the hourly poll
+INSERT INTO store_settings (key, value)
+VALUES ('carrier_webhook_fresh_minutes', '180')
+ON CONFLICT (key) DO NOTHING;
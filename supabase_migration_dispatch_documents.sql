@@ -0,0 +1,13 @@
+-- Migration: Shipping labels and dispatch manifest for forward shipments
+-- Created: 2026-10-19
+-- Purpose: The admin panel prints the labels of exchange replacement (forward)
+--          shipments for one or many requests as a single PDF — the carrier's
+--          own label where it hands one out, otherwise one we render — and a
+--          daily courier handover manifest grouped by carrier. The manifest
+--          picks the day's dispatches by the new forward_dispatched_at.
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS forward_dispatched_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_requests_forward_dispatched ON requests(forward_dispatched_at) WHERE forward_dispatched_at IS NOT NULL;
+
+COMMENT ON COLUMN requests.forward_dispatched_at IS 'When the current forward (replacement) shipment was booked — drives the daily dispatch manifest';
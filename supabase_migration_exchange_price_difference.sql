@@ -0,0 +1,32 @@
+-- Migration: Exchange price difference
+-- Created: 2026-10-19
+-- Purpose: Exchanges into a pricier or cheaper replacement settle the difference
+--          against what the customer paid for the original item. Upgrades pay
+--          the balance through Razorpay together with the pickup fee; downgrades
+--          get the surplus back once the replacement is dispatched, to the
+--          original payment or as store credit (requests.refund_preference).
+--          Per-item prices live in requests.items (replacementPrice,
+--          replacementUnitPrice, priceDifference).
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS exchange_amount_due NUMERIC(12, 2); -- ₹ charged on top of the pickup fee
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS exchange_surplus NUMERIC(12, 2); -- ₹ owed back to the customer
+
+COMMENT ON COLUMN requests.exchange_amount_due IS 'Exchange upgrade balance the customer paid via Razorpay (NULL/0 = none)';
+COMMENT ON COLUMN requests.exchange_surplus IS 'Exchange downgrade surplus returned on dispatch (NULL/0 = none)';
+
+-- Surplus payouts are refund ledger rows of their own kind
+ALTER TABLE request_refunds DROP CONSTRAINT IF EXISTS request_refunds_kind_check;
+ALTER TABLE request_refunds ADD CONSTRAINT request_refunds_kind_check
+  CHECK (kind IN ('return', 'pickup_fee', 'exchange_surplus'));
+
+COMMENT ON COLUMN request_refunds.kind IS 'return = item refund; pickup_fee = pickup fee refunded when no carrier could pick up; exchange_surplus = price difference on a cheaper exchange';
+
+-- Price exchanges against the paid price (off = every exchange is free, as before)
+INSERT INTO store_settings (key, value)
+VALUES ('exchange_price_difference_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- Create the replacement as a Shopify order (line prices + adjustment) on dispatch
+INSERT INTO store_settings (key, value)
+VALUES ('exchange_shopify_order_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,46 @@
+-- Migration: Soft inventory reservations for exchange replacements
+-- Created: 2026-10-19
+-- Purpose: Holds the replacement variant of an exchange from submission until the
+--          replacement is dispatched, so the size is still there when the return
+--          arrives. Holds are "soft": Shopify stock is not touched. Instead the
+--          exchange form's stock figures (lookup-order / get-variants) subtract
+--          the units held for other customers. A hold is released when the
+--          request is rejected, cancelled or deleted, or when it expires
+--          (exchange_reservation_days). It is converted when the replacement
+--          ships. One row per request item; releasing and re-holding reuses it.
+
+CREATE TABLE IF NOT EXISTS exchange_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL,
+  line_item_id TEXT NOT NULL, -- original order line item being exchanged
+  product_id TEXT,
+  variant_id TEXT NOT NULL, -- replacement variant held
+  product_title TEXT,
+  variant_title TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'converted')),
+  release_reason TEXT, -- rejected | cancelled | deleted | expired | manual
+  shopify_order_id TEXT, -- replacement order the hold became (when one was created)
+  expires_at TIMESTAMPTZ,
+  released_at TIMESTAMPTZ,
+  converted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (request_id, line_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_reservations_held ON exchange_reservations(variant_id, created_at) WHERE status = 'held';
+CREATE INDEX IF NOT EXISTS idx_exchange_reservations_expiry ON exchange_reservations(expires_at) WHERE status = 'held';
+
+COMMENT ON TABLE exchange_reservations IS 'Soft holds on exchange replacement variants; held units are subtracted from the stock shown to customers';
+COMMENT ON COLUMN exchange_reservations.status IS 'held → converted (replacement dispatched) | released (rejected, cancelled, deleted, expired, manual)';
+
+-- Hold replacement variants for submitted exchanges
+INSERT INTO store_settings (key, value)
+VALUES ('exchange_reservations_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- Days a hold lasts before it is released automatically
+INSERT INTO store_settings (key, value)
+VALUES ('exchange_reservation_days', '21')
+ON CONFLICT (key) DO NOTHING;
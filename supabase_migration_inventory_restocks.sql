@@ -0,0 +1,35 @@
+-- Migration: Shopify inventory restock on return receipt
+-- Created: 2026-10-19
+-- Purpose: Opt-in step that puts returned units back into Shopify stock at the
+--          warehouse location, triggered when the pickup is delivered or when it
+--          passes warehouse inspection (setting restock_trigger). One row per
+--          request item makes the adjustment idempotent: an item is only ever
+--          added back once; failed rows are retried by the next run.
+
+CREATE TABLE IF NOT EXISTS request_restocks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL,
+  line_item_id TEXT NOT NULL,
+  variant_id TEXT,
+  inventory_item_id TEXT,
+  location_id TEXT,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'restocked', 'failed')),
+  trigger TEXT NOT NULL CHECK (trigger IN ('delivered', 'inspected', 'manual')),
+  error TEXT,
+  created_by TEXT,
+  restocked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (request_id, line_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_restocks_request ON request_restocks(request_id);
+
+COMMENT ON TABLE request_restocks IS 'Shopify inventory adjustments for returned items; unique per request item';
+
+-- When to restock: off | delivered | inspected (inspected only restocks items
+-- whose inspection disposition is "restock")
+INSERT INTO store_settings (key, value)
+VALUES ('restock_trigger', '"off"')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,65 @@
+-- Migration: Durable job queue for carrier bookings and exchange orders
+-- Created: 2026-10-19
+-- Purpose: Pickup bookings, rescheduled rebookings, replacement dispatches and
+--          Shopify replacement orders used to run inline in request handlers;
+--          a carrier error was only logged and fixed later with one-off
+--          recovery scripts. They are now jobs: claimed by a worker, retried
+--          with backoff, and parked as "dead" for an admin retry once their
+--          attempts are used up. One live job per request + leg + type
+--          (idempotency_key). requests.exchange_order_id records the Shopify
+--          replacement order so it is never created twice.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL CHECK (type IN ('book_pickup', 'rebook_pickup', 'dispatch_forward', 'create_exchange_order')),
+  request_id TEXT NOT NULL,
+  leg TEXT NOT NULL CHECK (leg IN ('return', 'forward')),
+  idempotency_key TEXT NOT NULL, -- REQ-xxxxx:leg:type
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'dead', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- next try
+  locked_by TEXT, -- worker running it
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  result JSONB,
+  created_by TEXT, -- operator username, super-admin or system
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One queued / running job per key; finished jobs keep their history
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_key ON jobs(idempotency_key) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_jobs_request ON jobs(request_id);
+
+COMMENT ON TABLE jobs IS 'Background carrier bookings and exchange orders with retries; dead jobs need an admin retry';
+COMMENT ON COLUMN jobs.status IS 'queued (incl. waiting for a retry) → running → succeeded | dead (attempts used up) | cancelled (admin)';
+
+-- Claim due jobs (and running ones whose worker vanished) without two workers
+-- getting the same row
+CREATE OR REPLACE FUNCTION claim_jobs(p_worker TEXT, p_limit INTEGER, p_lock_seconds INTEGER)
+RETURNS SETOF jobs AS $$
+  UPDATE jobs SET
+    status = 'running',
+    attempts = attempts + 1,
+    locked_by = p_worker,
+    locked_at = NOW(),
+    updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM jobs
+    WHERE (status = 'queued' AND run_at <= NOW())
+       OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lock_seconds))
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$ LANGUAGE sql;
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS exchange_order_id TEXT;
+
+COMMENT ON COLUMN requests.exchange_order_id IS 'Shopify replacement order created for the exchange';
@@ -0,0 +1,16 @@
+-- Migration: Per-order submission lock for item claims
+-- Created: 2026-10-19
+-- Purpose: The return/exchange forms check how many units of each line item are
+--          still claimable and then insert the request. Two submissions for the
+--          same order could both pass the check before either row existed. A
+--          submission now holds its order's row here (the primary key makes the
+--          insert the lock) from the claim check until the request is saved; a
+--          lock older than a few minutes belongs to a crashed submission and is
+--          taken over.
+
+CREATE TABLE IF NOT EXISTS order_claim_locks (
+  order_number TEXT PRIMARY KEY, -- without the leading '#', uppercased
+  claimed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE order_claim_locks IS 'Held while a return/exchange submission claims items of the order (see claimOrderItems in config/db-helpers.js)';
@@ -0,0 +1,156 @@
+-- Migration: Persistent OTP state
+-- Created: 2026-10-19
+-- Purpose: Phone OTP state (live OTP, expiry, verify attempts, resend cooldown,
+--          send history, lockouts) moves out of server memory. A deploy used to
+--          wipe the rate limits and a second instance didn't share them. One
+--          row per phone; the otp_* functions below make every check-and-update
+--          atomic (row lock), so parallel requests on any instance see the same
+--          limits. Lifetime counters feed the admin OTP activity view.
+--          Set OTP_STORE=memory to keep the old in-process store; the server
+--          also falls back to it while this migration has not run.
+
+CREATE TABLE IF NOT EXISTS otp_states (
+  phone TEXT PRIMARY KEY, -- 12 digits with country code (919876543210)
+  session_id TEXT, -- VerifyNow verificationId of the live OTP
+  otp_hash TEXT, -- sha256 of a dev-mode OTP
+  expires_at TIMESTAMPTZ, -- live OTP expiry (NULL = no live OTP)
+  attempts INTEGER NOT NULL DEFAULT 0, -- verify attempts on the live OTP
+  cooldown_until TIMESTAMPTZ, -- no resend before this
+  send_times TIMESTAMPTZ[] NOT NULL DEFAULT '{}', -- sends in the last hour
+  total_sends INTEGER NOT NULL DEFAULT 0,
+  blocked_sends INTEGER NOT NULL DEFAULT 0, -- refused by cooldown / hourly limit
+  failed_verifications INTEGER NOT NULL DEFAULT 0,
+  lockouts INTEGER NOT NULL DEFAULT 0, -- OTPs invalidated after too many wrong codes
+  last_send_at TIMESTAMPTZ,
+  last_failed_at TIMESTAMPTZ,
+  last_locked_at TIMESTAMPTZ,
+  last_verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_states_activity ON otp_states(updated_at DESC);
+
+COMMENT ON TABLE otp_states IS 'Phone OTP state and abuse counters, shared by all instances; updated only through the otp_* functions';
+
+-- Check cooldown + hourly limit and record the send, in one step
+CREATE OR REPLACE FUNCTION otp_reserve_send(p_phone TEXT, p_cooldown_seconds INTEGER, p_max_sends_per_hour INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  rec otp_states%ROWTYPE;
+  recent TIMESTAMPTZ[];
+  sent TIMESTAMPTZ := clock_timestamp();
+BEGIN
+  INSERT INTO otp_states (phone) VALUES (p_phone) ON CONFLICT (phone) DO NOTHING;
+  SELECT * INTO rec FROM otp_states WHERE phone = p_phone FOR UPDATE;
+  recent := ARRAY(SELECT t FROM unnest(rec.send_times) AS t WHERE t > sent - INTERVAL '1 hour' ORDER BY t);
+
+  IF rec.cooldown_until IS NOT NULL AND rec.cooldown_until > sent THEN
+    UPDATE otp_states SET send_times = recent, blocked_sends = blocked_sends + 1, updated_at = sent WHERE phone = p_phone;
+    RETURN jsonb_build_object('ok', false, 'code', 'resend_too_soon',
+      'retry_in_seconds', CEIL(EXTRACT(EPOCH FROM rec.cooldown_until - sent)));
+  END IF;
+  IF COALESCE(array_length(recent, 1), 0) >= p_max_sends_per_hour THEN
+    UPDATE otp_states SET send_times = recent, blocked_sends = blocked_sends + 1, updated_at = sent WHERE phone = p_phone;
+    RETURN jsonb_build_object('ok', false, 'code', 'send_limit');
+  END IF;
+
+  UPDATE otp_states SET
+    send_times = array_append(recent, sent),
+    cooldown_until = sent + make_interval(secs => p_cooldown_seconds),
+    total_sends = total_sends + 1,
+    last_send_at = sent,
+    updated_at = sent
+  WHERE phone = p_phone;
+  RETURN jsonb_build_object('ok', true, 'sent_at', sent);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Undo a reservation whose OTP never went out (provider error)
+CREATE OR REPLACE FUNCTION otp_release_send(p_phone TEXT, p_sent_at TIMESTAMPTZ)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE otp_states SET
+    send_times = array_remove(send_times, p_sent_at),
+    cooldown_until = NULL,
+    total_sends = GREATEST(total_sends - 1, 0),
+    updated_at = clock_timestamp()
+  WHERE phone = p_phone AND p_sent_at = ANY(send_times);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Store the OTP that was just sent (replaces any earlier one)
+CREATE OR REPLACE FUNCTION otp_save_challenge(p_phone TEXT, p_session_id TEXT, p_otp_hash TEXT, p_ttl_seconds INTEGER)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE otp_states SET
+    session_id = p_session_id,
+    otp_hash = p_otp_hash,
+    expires_at = clock_timestamp() + make_interval(secs => p_ttl_seconds),
+    attempts = 0,
+    updated_at = clock_timestamp()
+  WHERE phone = p_phone;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Check expiry and count a verify attempt, in one step
+CREATE OR REPLACE FUNCTION otp_claim_attempt(p_phone TEXT, p_max_attempts INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  rec otp_states%ROWTYPE;
+BEGIN
+  SELECT * INTO rec FROM otp_states WHERE phone = p_phone FOR UPDATE;
+  IF NOT FOUND OR rec.expires_at IS NULL OR rec.expires_at <= clock_timestamp() THEN
+    RETURN jsonb_build_object('state', 'expired');
+  END IF;
+  IF rec.attempts >= p_max_attempts THEN
+    UPDATE otp_states SET
+      session_id = NULL, otp_hash = NULL, expires_at = NULL, attempts = 0,
+      lockouts = lockouts + 1, last_locked_at = clock_timestamp(), updated_at = clock_timestamp()
+    WHERE phone = p_phone;
+    RETURN jsonb_build_object('state', 'locked');
+  END IF;
+
+  UPDATE otp_states SET attempts = attempts + 1, updated_at = clock_timestamp() WHERE phone = p_phone;
+  RETURN jsonb_build_object('state', 'ok', 'session_id', rec.session_id, 'otp_hash', rec.otp_hash, 'attempts', rec.attempts + 1);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a wrong code; the last allowed attempt invalidates the OTP (lockout)
+CREATE OR REPLACE FUNCTION otp_record_failure(p_phone TEXT, p_max_attempts INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+  locked BOOLEAN;
+BEGIN
+  UPDATE otp_states SET
+    failed_verifications = failed_verifications + 1,
+    last_failed_at = clock_timestamp(),
+    lockouts = lockouts + CASE WHEN expires_at IS NOT NULL AND attempts >= p_max_attempts THEN 1 ELSE 0 END,
+    last_locked_at = CASE WHEN expires_at IS NOT NULL AND attempts >= p_max_attempts THEN clock_timestamp() ELSE last_locked_at END,
+    session_id = CASE WHEN attempts >= p_max_attempts THEN NULL ELSE session_id END,
+    otp_hash = CASE WHEN attempts >= p_max_attempts THEN NULL ELSE otp_hash END,
+    expires_at = CASE WHEN attempts >= p_max_attempts THEN NULL ELSE expires_at END,
+    updated_at = clock_timestamp()
+  WHERE phone = p_phone
+  RETURNING expires_at IS NULL AND attempts >= p_max_attempts INTO locked;
+  RETURN COALESCE(locked, false);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Use up the verified OTP; false when it expired or was replaced meanwhile
+CREATE OR REPLACE FUNCTION otp_consume(p_phone TEXT, p_session_id TEXT, p_otp_hash TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  consumed BOOLEAN;
+BEGIN
+  UPDATE otp_states SET
+    session_id = NULL, otp_hash = NULL, expires_at = NULL, attempts = 0,
+    last_verified_at = clock_timestamp(), updated_at = clock_timestamp()
+  WHERE phone = p_phone
+    AND expires_at > clock_timestamp()
+    AND session_id IS NOT DISTINCT FROM p_session_id
+    AND otp_hash IS NOT DISTINCT FROM p_otp_hash
+  RETURNING true INTO consumed;
+  RETURN COALESCE(consumed, false);
+END;
+$$ LANGUAGE plpgsql;
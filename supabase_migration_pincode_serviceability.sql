@@ -0,0 +1,23 @@
+-- Migration: Pincode serviceability and rate pre-check
+-- Created: 2026-10-19
+-- Purpose: Every configured carrier is asked whether it serves the customer's
+--          pincode (and at what rate / how fast) before a pickup is booked.
+--          /api/lookup-order tells the customer up front whether doorstep
+--          pickup is available, and bookings can go to the cheapest or fastest
+--          serviceable carrier instead of the static carrier mode. Answers are
+--          cached in memory per pincode; no schema changes.
+
+-- Check serviceability at order lookup and before booking (off = book blind, as before)
+INSERT INTO store_settings (key, value)
+VALUES ('serviceability_check_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- How the booking carrier is picked: mode (carrier_mode_pickup / _dispatch) | cheapest | fastest
+INSERT INTO store_settings (key, value)
+VALUES ('carrier_selection', 'mode')
+ON CONFLICT (key) DO NOTHING;
+
+-- Hours a pincode's serviceability answer is reused
+INSERT INTO store_settings (key, value)
+VALUES ('serviceability_cache_hours', '12')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,12 @@
+-- Migration: OTP-verified customer login for the returns portal
+-- Created: 2026-10-19
+-- Purpose: Customers verify their phone with an OTP (VerifyNow, same flow as
+--          the storefront login) and get a short-lived customer token. With
+--          it, lookup-order, submit, track and self-service only see orders
+--          and requests of that phone, and /api/portal/my-orders lists them
+--          all. Tokens are signed JWTs; no schema changes.
+
+-- Require the OTP login (off = order number + email / phone still works)
+INSERT INTO store_settings (key, value)
+VALUES ('portal_otp_required', 'false')
+ON CONFLICT (key) DO NOTHING;
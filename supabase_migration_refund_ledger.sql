@@ -0,0 +1,60 @@
+-- Migration: Refund ledger (refund-to-source for approved returns)
+-- Created: 2026-10-19
+-- Purpose: One row per refund attempt for a request. Prepaid orders are refunded
+--          through Shopify's refund API or directly through Razorpay; COD orders
+--          become bank/UPI payout tasks that an operator marks paid. Rows carry the
+--          per-item split and restocking fee so partial refunds can follow each
+--          other, and the provider refund id so the reconciliation job can move
+--          pending/processing rows to processed/failed.
+--          Pickup-fee refunds (issuePickupFeeRefund) are logged here too (kind = 'pickup_fee').
+
+-- Held while a refund for the request is being issued, so a double-submitted
+-- refund can't plan against the same ledger twice (stale after a few minutes)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS refund_claimed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS request_refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL,
+  order_number TEXT,
+  shopify_order_id TEXT,
+  kind TEXT NOT NULL DEFAULT 'return' CHECK (kind IN ('return', 'pickup_fee')),
+  method TEXT NOT NULL CHECK (method IN ('shopify', 'razorpay', 'cod_payout')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'cancelled')),
+  currency TEXT NOT NULL DEFAULT 'INR',
+
+  -- Amounts in rupees: amount = gross_amount - restocking_fee
+  gross_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  restocking_fee NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  -- [{ lineItemId, name, variant, quantity, unitPrice, gross, restockingFee, amount }]
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  payment_id TEXT, -- Razorpay pay_... id refunded against
+  provider_refund_id TEXT, -- Razorpay rfnd_... / Shopify refund id
+  payout_details JSONB, -- COD: { upiId } or { accountName, accountNumber, ifsc }
+  payout_reference TEXT, -- COD: UTR / bank reference entered when marked paid
+  failure_reason TEXT,
+  notes TEXT,
+
+  created_by TEXT,
+  processed_at TIMESTAMPTZ,
+  last_checked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_refunds_request ON request_refunds(request_id);
+CREATE INDEX IF NOT EXISTS idx_request_refunds_open ON request_refunds(status, method) WHERE status IN ('pending', 'processing');
+
+COMMENT ON TABLE request_refunds IS 'Refund ledger: every refund attempt for a return request (Shopify, Razorpay or COD payout)';
+COMMENT ON COLUMN request_refunds.kind IS 'return = item refund; pickup_fee = pickup fee refunded when no carrier could pick up';
+COMMENT ON COLUMN request_refunds.status IS 'pending → processing → processed | failed; cancelled = voided by an operator. A pending Shopify/Razorpay row without provider_refund_id is unconfirmed (the call threw or is running) until reconciliation asks the provider';
+
+-- Restocking fee (% of the paid item price) deducted from return refunds.
+-- Not applied to defective / wrong item returns. 0 = no fee.
+INSERT INTO store_settings (key, value)
+VALUES ('restocking_fee_percent', '0')
+ON CONFLICT (key) DO NOTHING;
+
+-- New operator permission for issuing refunds and settling COD payouts
+COMMENT ON COLUMN operators.permissions IS 'Allowed permission keys: approve, reject, edit_requests, delete_requests, book_pickups, issue_refunds, view_analytics, manage_settings, manage_influencers, manage_marketing';
@@ -0,0 +1,44 @@
+-- Migration: Saved and scheduled report exports
+-- Created: 2026-10-19
+-- Purpose: Admins export requests, shipments (both legs) and refunds as CSV /
+--          XLSX straight from the server for any requests-list filter (the
+--          panel used to export only the rows it had loaded; fuller reports
+--          came from generate_report.py / generate_excel.py). A report can be
+--          saved and scheduled daily or weekly (07:00 IST); each run's file is
+--          stored in report_runs for download, the last 10 per report.
+
+CREATE TABLE IF NOT EXISTS report_definitions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('requests', 'shipments', 'refunds')),
+  format TEXT NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'xlsx')),
+  filters JSONB NOT NULL DEFAULT '{}', -- { status, type, carrier, search, from, to, days, method, kind }
+  schedule TEXT CHECK (schedule IN ('daily', 'weekly')), -- NULL = run on demand only
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_definitions_due ON report_definitions(next_run_at) WHERE schedule IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS report_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  definition_id UUID REFERENCES report_definitions(id) ON DELETE CASCADE,
+  name TEXT,
+  kind TEXT NOT NULL,
+  format TEXT NOT NULL,
+  file_name TEXT,
+  content TEXT, -- file, base64
+  size_bytes INTEGER,
+  row_count INTEGER,
+  status TEXT NOT NULL DEFAULT 'ready' CHECK (status IN ('ready', 'failed')),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_runs_definition ON report_runs(definition_id, created_at DESC);
+
+COMMENT ON TABLE report_definitions IS 'Saved report exports; scheduled ones run daily / weekly and store their file in report_runs';
+COMMENT ON TABLE report_runs IS 'Stored report files (base64) from saved report runs, for download in the admin panel';
@@ -0,0 +1,34 @@
+-- Migration: Request ownership and assignment queues for operators
+-- Created: 2026-10-19
+-- Purpose: Requests had no owner, so several operators worked the same pending
+--          list and picked up the same request. A request now has an assigned
+--          operator — claimed, assigned by someone with assign_requests, or
+--          handed out round-robin by assignment_rules (carrier, reason,
+--          request type). Claims, releases and assignments are audited in
+--          operator_activity_logs.
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS assigned_operator_id BIGINT REFERENCES operators(id) ON DELETE SET NULL;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS assigned_by TEXT; -- username, or 'auto: <rule name>'
+
+CREATE INDEX IF NOT EXISTS idx_requests_assigned_operator ON requests(assigned_operator_id, status) WHERE assigned_operator_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS assignment_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100, -- lowest first; first matching rule wins
+  conditions JSONB NOT NULL DEFAULT '{}', -- { types: [], carriers: [], reasons: [] }; empty = any
+  operator_ids BIGINT[] NOT NULL, -- pool, handed out round-robin in this order
+  last_operator_id BIGINT, -- rotation cursor
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_rules_priority ON assignment_rules(priority) WHERE is_active;
+
+COMMENT ON TABLE assignment_rules IS 'Auto-assignment of unassigned pending / pickup_pending requests to operators (config/assignment.js)';
+COMMENT ON COLUMN requests.assigned_operator_id IS 'Operator who owns the request; NULL = unassigned';
+
+COMMENT ON COLUMN operators.permissions IS 'Allowed permission keys: approve, reject, edit_requests, delete_requests, book_pickups, issue_refunds, inspect_returns, assign_requests, view_analytics, manage_settings, manage_influencers, manage_marketing';
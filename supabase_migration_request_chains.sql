@@ -0,0 +1,26 @@
+-- Migration: Multiple requests per order + request chains
+-- Created: 2026-10-19
+-- Purpose: An order can now carry several sequential requests (exchange one item,
+--          later return another). Quantities are accounted per Shopify line item
+--          from the request items. A request raised on the REPLACEMENT shipped by an
+--          earlier exchange links to it, forming a chain:
+--          original order → REQ-A (exchange) → REQ-B (re-exchange of A's replacement)
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS parent_request_id TEXT; -- the exchange whose replacement this request is about
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS root_request_id TEXT; -- first request of the chain (NULL on the root itself)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS chain_depth INTEGER NOT NULL DEFAULT 0; -- 0 = raised on the original order
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS forward_delivered_at TIMESTAMPTZ; -- replacement delivered; starts the re-exchange window
+
+-- Replacements delivered before forward_delivered_at existed: take the first
+-- forward delivered scan, else the last update (the sync that marked it delivered)
+UPDATE requests r SET forward_delivered_at = COALESCE(
+  (SELECT MIN(e.scanned_at) FROM shipment_scan_events e
+    WHERE e.request_id = r.request_id AND e.leg = 'forward' AND e.mapped_status = 'delivered'),
+  r.updated_at
+) WHERE r.forward_status = 'delivered' AND r.forward_delivered_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_requests_parent_request ON requests(parent_request_id) WHERE parent_request_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_requests_root_request ON requests(root_request_id) WHERE root_request_id IS NOT NULL;
+
+COMMENT ON COLUMN requests.parent_request_id IS 'Exchange request whose delivered replacement this request returns/exchanges again';
+COMMENT ON COLUMN requests.root_request_id IS 'First request in the chain; NULL for requests raised on the original order items';
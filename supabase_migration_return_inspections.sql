@@ -0,0 +1,40 @@
+-- Migration: Warehouse inspection (QC) of returned items
+-- Created: 2026-10-19
+-- Purpose: Adds the inspection stage between 'delivered' (received at the
+--          warehouse) and final approval. Staff with the inspect_returns
+--          permission record each item's condition, photos and disposition;
+--          the outcome moves the request to 'inspected' (or 'rejected' when no
+--          item is accepted) and caps what the refund flow can pay out per item.
+--          Re-inspecting a request adds a new row; the latest one applies.
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS inspected_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS request_inspections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL,
+  outcome TEXT NOT NULL CHECK (outcome IN ('passed', 'partial', 'failed')),
+  -- [{ lineItemId, name, variant, quantity, condition, tagsIntact, disposition,
+  --    accepted, restockingFeePercent, decision, notes, photos[] }]
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  notes TEXT,
+  inspected_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_inspections_request ON request_inspections(request_id, created_at DESC);
+
+COMMENT ON TABLE request_inspections IS 'Warehouse QC results per request; latest row is authoritative';
+COMMENT ON COLUMN request_inspections.outcome IS 'passed = every item accepted, partial = some, failed = none (request rejected)';
+
+-- Require an inspection before delivered requests can be approved or refunded
+INSERT INTO store_settings (key, value)
+VALUES ('inspection_required', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- Restocking fee (%) for items that come back used or with tags removed
+INSERT INTO store_settings (key, value)
+VALUES ('inspection_used_fee_percent', '20')
+ON CONFLICT (key) DO NOTHING;
+
+-- New operator permission for warehouse staff
+COMMENT ON COLUMN operators.permissions IS 'Allowed permission keys: approve, reject, edit_requests, delete_requests, book_pickups, issue_refunds, inspect_returns, view_analytics, manage_settings, manage_influencers, manage_marketing';
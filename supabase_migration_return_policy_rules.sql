@@ -0,0 +1,39 @@
+-- Migration: Configurable return policy rules
+-- Created: 2026-10-19
+-- Purpose: Admin-editable rules that decide, per order line item, whether it can be
+--          returned/exchanged, which request types are allowed, the return window,
+--          when the pickup fee is waived and whether pickup is auto-approved.
+--          Evaluated by config/return-policy.js in /api/lookup-order and the submit
+--          endpoints. Lowest priority wins; no matching rule = global settings
+--          (return_window_days / return_window_mode, defective + wrong_item fee-free).
+
+CREATE TABLE IF NOT EXISTS return_policy_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL, -- e.g. 'Final sale', 'Sale items exchange-only', 'Footwear 7 days'
+  description TEXT,
+  priority INTEGER NOT NULL DEFAULT 100, -- lower runs first; first matching rule wins
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Match conditions (all given conditions must match; any value within a list matches):
+  -- { productTypes: [], collections: [id|handle|title], tags: [], skus: ['FS-*'], vendors: [],
+  --   customerSegments: [segment|tier|customer tag], onSale: bool,
+  --   minDiscountPercent, maxDiscountPercent, minOrderValue, maxOrderValue }
+  conditions JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Outcome
+  eligible BOOLEAN NOT NULL DEFAULT true, -- false = item cannot be returned or exchanged
+  allowed_types TEXT[] NOT NULL DEFAULT ARRAY['return', 'exchange'],
+  window_days INTEGER CHECK (window_days IS NULL OR (window_days >= 0 AND window_days <= 365)), -- NULL = return_window_days setting
+  window_mode TEXT CHECK (window_mode IS NULL OR window_mode IN ('delivery', 'order')), -- NULL = return_window_mode setting
+  fee_waived_reasons TEXT[], -- NULL = defective/wrong_item, '{*}' = always free, '{}' = always charged
+  auto_approve BOOLEAN NOT NULL DEFAULT false, -- fee-waived requests book pickup without admin review
+  customer_message TEXT, -- shown to the customer in the lookup response
+
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_policy_rules_priority ON return_policy_rules(is_active, priority);
+
+COMMENT ON TABLE return_policy_rules IS 'Per-item return/exchange policy rules — first active match by priority decides eligibility, types, fee and auto-approval';
@@ -0,0 +1,46 @@
+-- Migration: Customer self-service pickup reschedule and address correction
+-- Created: 2026-10-19
+-- Purpose: Before the parcel is picked up, customers move the pickup to another
+--          day or correct the pickup address / phone from the tracking page
+--          instead of going through support. The change is pushed to the
+--          carrier where its API allows it, otherwise the pickup is rebooked
+--          (a reschedule then rebooks on the chosen morning). Every change is
+--          logged on the request and limited per request.
+
+-- Corrected pickup address { address, city, state, pincode } (NULL = the order's shipping address)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS pickup_address JSONB;
+-- [{ action: reschedule|address, at, from, to, outcome: carrier|rebooked|deferred|saved|failed, message }]
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS self_service_changes JSONB NOT NULL DEFAULT '[]'::jsonb;
+-- Day a rescheduled pickup is rebooked on when the carrier can't move it
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS pickup_rebook_on DATE;
+
+CREATE INDEX IF NOT EXISTS idx_requests_pickup_rebook ON requests(pickup_rebook_on) WHERE pickup_rebook_on IS NOT NULL;
+
+COMMENT ON COLUMN requests.pickup_address IS 'Pickup address corrected by the customer; bookings use it instead of the Shopify shipping address';
+COMMENT ON COLUMN requests.self_service_changes IS 'Customer self-service reschedules / address corrections and their outcome';
+COMMENT ON COLUMN requests.pickup_rebook_on IS 'Rebook the return pickup on this day (customer reschedule the carrier could not apply)';
+
+-- Rebooked pickups cancel the previous AWB with the carrier
+ALTER TABLE shipment_cancellations DROP CONSTRAINT IF EXISTS shipment_cancellations_reason_check;
+ALTER TABLE shipment_cancellations ADD CONSTRAINT shipment_cancellations_reason_check
+  CHECK (reason IN ('reset', 'redispatch', 'duplicate', 'rejected', 'deleted', 'manual', 'self_service'));
+
+-- Let customers reschedule / correct the address themselves (off = support only, as before)
+INSERT INTO store_settings (key, value)
+VALUES ('self_service_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- Reschedules allowed per request
+INSERT INTO store_settings (key, value)
+VALUES ('self_service_max_reschedules', '2')
+ON CONFLICT (key) DO NOTHING;
+
+-- Address / phone corrections allowed per request
+INSERT INTO store_settings (key, value)
+VALUES ('self_service_max_address_changes', '1')
+ON CONFLICT (key) DO NOTHING;
+
+-- How many days ahead a pickup can be moved
+INSERT INTO store_settings (key, value)
+VALUES ('self_service_reschedule_window_days', '7')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,33 @@
+-- Migration: Carrier-side shipment cancellation
+-- Created: 2026-10-19
+-- Purpose: When a request is reset, re-dispatched, rejected or deleted, or a
+--          duplicate pickup / forward order replaces a booking, the dropped AWB
+--          is now cancelled with its carrier instead of only being cleared
+--          locally (the waybill stayed live: ghost pickups, carrier charges).
+--          One row per AWB records the outcome. Failed cancellations are listed
+--          in the admin panel for a retry, and feed the carrier reconciliation
+--          report together with shipment_scan_events.
+
+CREATE TABLE IF NOT EXISTS shipment_cancellations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL, -- REQ-xxxxx (kept after request deletion)
+  leg TEXT NOT NULL CHECK (leg IN ('return', 'forward')),
+  carrier TEXT NOT NULL,
+  awb TEXT NOT NULL,
+  shipment_id TEXT,
+  reason TEXT NOT NULL CHECK (reason IN ('reset', 'redispatch', 'duplicate', 'rejected', 'deleted', 'manual')),
+  status TEXT NOT NULL CHECK (status IN ('cancelled', 'failed', 'dismissed')),
+  message TEXT, -- carrier's answer or the error
+  attempts INTEGER NOT NULL DEFAULT 1,
+  requested_by TEXT, -- operator username, super-admin or system
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (carrier, awb)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_cancellations_failed ON shipment_cancellations(created_at) WHERE status = 'failed';
+CREATE INDEX IF NOT EXISTS idx_shipment_cancellations_request ON shipment_cancellations(request_id);
+
+COMMENT ON TABLE shipment_cancellations IS 'Carrier cancellations of AWBs a request no longer uses; failed rows need an admin retry';
+COMMENT ON COLUMN shipment_cancellations.status IS 'cancelled (carrier confirmed) | failed (retry from the admin panel) | dismissed (handled with the carrier by hand)';
@@ -0,0 +1,23 @@
+-- Migration: Bulk pickup booking from CSV
+-- Created: 2026-10-19
+-- Purpose: Admins import a CSV (e.g. a Shiprocket export) to book return
+--          pickups instead of running ship-csv-to-delhivery.js /
+--          book-delhivery-pickups-from-csv.js from a shell. Each confirmed
+--          import keeps its dry-run plan; every "book" row points at the
+--          book_pickup job (jobs table) that books it, for progress and the
+--          results file.
+
+CREATE TABLE IF NOT EXISTS shipment_imports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  file_name TEXT,
+  carrier TEXT, -- carrier override; NULL = carrier settings
+  mapping JSONB NOT NULL DEFAULT '{}', -- { requestId, awb, status, customerName, pincode } → CSV header
+  rows JSONB NOT NULL DEFAULT '[]', -- [{ line, requestId, customerName, pincode, action, reason, jobId }]
+  summary JSONB NOT NULL DEFAULT '{}', -- { total, book, skip, reject }
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipment_imports_created ON shipment_imports(created_at DESC);
+
+COMMENT ON TABLE shipment_imports IS 'Confirmed CSV pickup imports with their dry-run plan and queued book_pickup jobs';
@@ -0,0 +1,28 @@
+-- Migration: Per-shipment carrier scan history
+-- Created: 2026-10-19
+-- Purpose: Persist every carrier scan (not just the latest status) for both the
+--          return pickup leg and the forward exchange leg. Written by the hourly
+--          poll (syncSingleRequest) and the carrier push webhooks; read by
+--          /api/track-request/:identifier and the admin tracking drawer.
+
+CREATE TABLE IF NOT EXISTS shipment_scan_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_key TEXT UNIQUE NOT NULL, -- sha1(awb|raw_status|status_type|scanned_at|location), dedupes re-polls
+  request_id TEXT NOT NULL, -- REQ-xxxxx (kept after request deletion for dispute history)
+  leg TEXT NOT NULL CHECK (leg IN ('return', 'forward')),
+  awb TEXT NOT NULL,
+  carrier TEXT NOT NULL, -- shiprocket, delhivery, ekart
+  raw_status TEXT, -- carrier's own wording, e.g. 'Manifested', 'DTO Delivered'
+  status_type TEXT, -- Delhivery StatusType/ScanType (UD, PU, DL, RT...), Shiprocket sr-status
+  mapped_status TEXT, -- mapCarrierStatus() result at the time of the scan
+  location TEXT,
+  instructions TEXT,
+  scanned_at TIMESTAMPTZ NOT NULL,
+  source TEXT NOT NULL DEFAULT 'poll', -- poll or webhook
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scan_events_request ON shipment_scan_events(request_id, scanned_at);
+CREATE INDEX IF NOT EXISTS idx_scan_events_awb ON shipment_scan_events(awb);
+
+COMMENT ON TABLE shipment_scan_events IS 'Every carrier scan per request and AWB, both legs — the dispute-proof event log';
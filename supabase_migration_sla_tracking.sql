@@ -0,0 +1,105 @@
+-- Migration: SLA tracking and escalation for stuck requests
+-- Created: 2026-10-19
+-- Purpose: Nothing flagged a request that sat in pending, pickup_booked or a
+--          carrier exception for too long; they were found with scripts like
+--          check-pickup-pending.js. sla_rules say how long a request may stay
+--          in a stage (optionally per carrier); an hourly check opens a breach
+--          per request + rule, optionally re-attempts or rebooks the pickup,
+--          flags the request for the admin list and feeds an operator digest.
+
+-- When the request entered its current stage. Set by trigger so every writer
+-- (sync, webhooks, admin edits, scripts) keeps it right; a new return AWB
+-- (rebooked pickup) restarts the clock too.
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ;
+
+UPDATE requests SET status_changed_at = COALESCE(
+  CASE status
+    WHEN 'approved' THEN approved_at
+    WHEN 'picked_up' THEN picked_up_at
+    WHEN 'in_transit' THEN in_transit_at
+    WHEN 'delivered' THEN delivered_at
+  END,
+  updated_at,
+  created_at
+) WHERE status_changed_at IS NULL;
+
+ALTER TABLE requests ALTER COLUMN status_changed_at SET DEFAULT NOW();
+
+CREATE OR REPLACE FUNCTION set_request_status_changed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status OR NEW.awb_number IS DISTINCT FROM OLD.awb_number THEN
+    NEW.status_changed_at = NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_requests_status_changed_at ON requests;
+CREATE TRIGGER trg_requests_status_changed_at
+  BEFORE UPDATE ON requests
+  FOR EACH ROW EXECUTE FUNCTION set_request_status_changed_at();
+
+-- Carrier exception scans (NDR, pickup failed …) don't change the status; the
+-- first one is kept until the request moves on
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS carrier_exception_at TIMESTAMPTZ;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS carrier_exception TEXT;
+
+-- Set while the request breaches an SLA (admin list filter and badge)
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMPTZ;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS sla_breach TEXT; -- names of the breached rules
+
+CREATE INDEX IF NOT EXISTS idx_requests_sla_breached ON requests(sla_breached_at) WHERE sla_breached_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS sla_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  statuses TEXT[] NOT NULL, -- request statuses, or 'exception' (open carrier exception)
+  carrier TEXT, -- NULL = any carrier
+  since TEXT NOT NULL DEFAULT 'status' CHECK (since IN ('status', 'created', 'approved', 'picked_up')),
+  max_hours INTEGER NOT NULL CHECK (max_hours > 0),
+  action TEXT NOT NULL DEFAULT 'notify' CHECK (action IN ('notify', 'reattempt', 'rebook')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS sla_breaches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id TEXT NOT NULL,
+  rule_id UUID REFERENCES sla_rules(id) ON DELETE CASCADE,
+  rule_name TEXT NOT NULL,
+  stage TEXT NOT NULL,
+  carrier TEXT,
+  started_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ NOT NULL,
+  action TEXT NOT NULL DEFAULT 'notify',
+  action_result TEXT, -- e.g. 'Pickup re-attempt requested for 2026-10-20', 'Rebook queued'
+  escalated_at TIMESTAMPTZ, -- first digest that listed it
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open breach per request + rule
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_breaches_open ON sla_breaches(request_id, rule_id) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sla_breaches_created ON sla_breaches(created_at DESC);
+
+COMMENT ON TABLE sla_rules IS 'How long a request may stay in a stage; breaches are checked hourly (config/sla.js)';
+COMMENT ON TABLE sla_breaches IS 'SLA breaches per request + rule; open until the request leaves the stage';
+
+-- Shipment cancellations from an SLA rebook
+ALTER TABLE shipment_cancellations DROP CONSTRAINT IF EXISTS shipment_cancellations_reason_check;
+ALTER TABLE shipment_cancellations ADD CONSTRAINT shipment_cancellations_reason_check
+  CHECK (reason IN ('reset', 'redispatch', 'duplicate', 'rejected', 'deleted', 'manual', 'self_service', 'sla'));
+
+-- Starting rules (notify only; switch on re-attempt / rebook per rule)
+INSERT INTO sla_rules (name, statuses, since, max_hours, created_by)
+SELECT * FROM (VALUES
+  ('Review within 48h', ARRAY['pending'], 'status', 48, 'system'),
+  ('Failed pickup booking fixed within 24h', ARRAY['pickup_pending'], 'status', 24, 'system'),
+  ('Pickup within 48h of booking', ARRAY['pickup_booked', 'scheduled'], 'status', 48, 'system'),
+  ('Warehouse delivery within 7 days of pickup', ARRAY['picked_up', 'in_transit', 'out_for_delivery'], 'picked_up', 168, 'system'),
+  ('Carrier exception cleared within 24h', ARRAY['exception'], 'status', 24, 'system')
+) AS seed(name, statuses, since, max_hours, created_by)
+WHERE NOT EXISTS (SELECT 1 FROM sla_rules);
@@ -0,0 +1,46 @@
+-- Migration: Fallbacks for out-of-stock exchange replacements
+-- Created: 2026-10-19
+-- Purpose: When the replacement size of an exchange is out of stock, the
+--          customer picks a fallback instead of waiting for an admin to sort it
+--          out with a coupon. Options (stock_fallback_options):
+--            waitlist      replacement ships automatically once restocked
+--            similar       same size of another product from the same collection
+--            store_credit  request becomes a return refunded as store credit + bonus
+--            return        request becomes a plain return
+--          The choice is stored on the request together with what was wanted.
+
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS stock_resolution TEXT
+  CHECK (stock_resolution IN ('waitlist', 'similar', 'store_credit', 'return'));
+-- { wanted[], swaps[], waitlistedAt, expiresAt, queuedAt, restockedAt, dispatchedAt, lapsedAt }
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS stock_resolution_details JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_requests_stock_waitlist ON requests(created_at) WHERE stock_resolution = 'waitlist';
+
+COMMENT ON COLUMN requests.stock_resolution IS 'Fallback the customer chose because the exchange replacement was out of stock (NULL = none needed)';
+COMMENT ON COLUMN requests.stock_resolution_details IS 'Originally wanted replacements, similar-product swaps and waitlist timestamps';
+
+-- A paid upgrade balance is refunded as a ledger row of its own when the
+-- exchange turns into a return
+ALTER TABLE request_refunds DROP CONSTRAINT IF EXISTS request_refunds_kind_check;
+ALTER TABLE request_refunds ADD CONSTRAINT request_refunds_kind_check
+  CHECK (kind IN ('return', 'pickup_fee', 'exchange_surplus', 'exchange_upgrade'));
+
+-- Offer fallbacks when a replacement is out of stock (off = submit as before)
+INSERT INTO store_settings (key, value)
+VALUES ('stock_fallbacks_enabled', 'false')
+ON CONFLICT (key) DO NOTHING;
+
+-- Which fallbacks the customer may pick
+INSERT INTO store_settings (key, value)
+VALUES ('stock_fallback_options', '["waitlist", "similar", "store_credit", "return"]')
+ON CONFLICT (key) DO NOTHING;
+
+-- Extra store credit (%) for taking store credit instead of the replacement
+INSERT INTO store_settings (key, value)
+VALUES ('stock_fallback_credit_bonus_percent', '15')
+ON CONFLICT (key) DO NOTHING;
+
+-- Days a waitlisted exchange waits for the restock before it lapses to store credit (or a return)
+INSERT INTO store_settings (key, value)
+VALUES ('stock_fallback_waitlist_days', '14')
+ON CONFLICT (key) DO NOTHING;
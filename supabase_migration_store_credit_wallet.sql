@@ -0,0 +1,72 @@
+-- Migration: Store-credit wallet
+-- Created: 2026-10-19
+-- Purpose: Per-customer store credit as an alternative to one-off RETURN<id>
+--          discount codes. One account per customer (phone, else email — same
+--          identities as marketing_customers) with an append-only transaction
+--          ledger. Credits are lots with their own expiry; redemptions and expiry
+--          draw from the earliest-expiring lots (see config/store-credit.js).
+--          Customers spend the balance through Shopify gift cards issued from
+--          the wallet. Returns can pick "store credit" and get a bonus %.
+
+CREATE TABLE IF NOT EXISTS store_credit_accounts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  customer_key TEXT NOT NULL UNIQUE, -- 'phone:91XXXXXXXXXX' or 'email:someone@example.com'
+  phone TEXT, -- normalized 91XXXXXXXXXX
+  email TEXT, -- lowercased
+  customer_name TEXT,
+  shopify_customer_id TEXT,
+  balance NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  lifetime_credited NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  lifetime_spent NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credit_accounts_phone ON store_credit_accounts(phone) WHERE phone IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_store_credit_accounts_email ON store_credit_accounts(email) WHERE email IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS store_credit_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  account_id UUID NOT NULL REFERENCES store_credit_accounts(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('credit', 'bonus', 'redeem', 'expire', 'adjust')),
+  amount NUMERIC(12, 2) NOT NULL, -- positive = added, negative = spent/expired
+  balance_after NUMERIC(12, 2) NOT NULL,
+
+  -- Credit lots only (amount > 0): what is left to spend and until when
+  remaining NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ, -- NULL = never expires
+
+  request_id TEXT, -- return that earned the credit
+  refund_id UUID, -- request_refunds row when issued as a refund method
+  gift_card_id TEXT, -- Shopify gift card the redemption created
+  gift_card_last_characters TEXT,
+  note TEXT,
+  created_by TEXT, -- operator username, 'customer' or 'system'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_credit_txn_account ON store_credit_transactions(account_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_store_credit_txn_live_lots ON store_credit_transactions(expires_at) WHERE remaining > 0;
+
+COMMENT ON TABLE store_credit_accounts IS 'Store-credit wallet per customer; balance = sum of live credit lots';
+COMMENT ON TABLE store_credit_transactions IS 'Append-only wallet ledger (credits, return bonuses, gift card redemptions, expiry, manual adjustments)';
+
+-- Returns: the customer's choice in the return form and the bonus locked in at submission
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS refund_preference TEXT; -- NULL/'original' or 'store_credit'
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS store_credit_bonus_percent NUMERIC(5, 2);
+
+-- Refund ledger: store credit becomes a refund method
+ALTER TABLE request_refunds DROP CONSTRAINT IF EXISTS request_refunds_method_check;
+ALTER TABLE request_refunds ADD CONSTRAINT request_refunds_method_check
+  CHECK (method IN ('shopify', 'razorpay', 'cod_payout', 'store_credit'));
+-- Bonus still to credit when it failed after the base credit landed (the
+-- reconcile job retries it; NULL once credited)
+ALTER TABLE request_refunds ADD COLUMN IF NOT EXISTS bonus_due NUMERIC(12, 2);
+CREATE INDEX IF NOT EXISTS idx_store_credit_txn_refund ON store_credit_transactions(refund_id) WHERE refund_id IS NOT NULL;
+
+INSERT INTO store_settings (key, value)
+VALUES
+    ('store_credit_enabled', 'false'),
+    ('store_credit_bonus_percent', '10'),
+    ('store_credit_expiry_days', '365')
+ON CONFLICT (key) DO NOTHING;
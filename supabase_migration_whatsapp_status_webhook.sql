@@ -0,0 +1,41 @@
+-- Migration: Meta WhatsApp delivery/read status tracking
+-- Created: 2026-10-19
+-- Purpose: POST /api/webhooks/meta/whatsapp receives Meta status callbacks
+--          (sent / delivered / read / failed) and matches them by wamid to
+--          campaign recipients and abandoned-cart reminder messages.
+--          Campaign recipients already carry meta_message_id + timestamps;
+--          cart reminders previously kept no message id, so they get their own table.
+
+-- ─────────────────────────────────────────────────────────────
+-- 1. Per-message log of abandoned cart reminders
+-- ─────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS marketing_cart_reminder_messages (
+  id BIGSERIAL PRIMARY KEY,
+  cart_id BIGINT REFERENCES marketing_abandoned_carts(id) ON DELETE CASCADE,
+  reminder_type TEXT NOT NULL, -- first, second, final, manual
+  template_id BIGINT REFERENCES marketing_templates(id) ON DELETE SET NULL,
+  phone TEXT NOT NULL,
+  meta_message_id TEXT,
+  status TEXT NOT NULL DEFAULT 'sent', -- sent, delivered, read, failed
+  error_code TEXT,
+  error_message TEXT,
+  sent_at TIMESTAMPTZ,
+  delivered_at TIMESTAMPTZ,
+  read_at TIMESTAMPTZ,
+  failed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mcrm_cart ON marketing_cart_reminder_messages(cart_id);
+CREATE INDEX IF NOT EXISTS idx_mcrm_meta_msg ON marketing_cart_reminder_messages(meta_message_id);
+CREATE INDEX IF NOT EXISTS idx_mcrm_status ON marketing_cart_reminder_messages(status);
+
+COMMENT ON TABLE marketing_cart_reminder_messages IS 'Every WhatsApp reminder sent for an abandoned cart, kept current by the Meta status webhook';
+
+-- ─────────────────────────────────────────────────────────────
+-- 2. Recipient lookups by wamid (index already exists on fresh installs)
+-- ─────────────────────────────────────────────────────────────
+CREATE INDEX IF NOT EXISTS idx_mcr_meta_msg ON marketing_campaign_recipients(meta_message_id);
+CREATE INDEX IF NOT EXISTS idx_mcr_delivered ON marketing_campaign_recipients(delivered_at);
+CREATE INDEX IF NOT EXISTS idx_mcr_read ON marketing_campaign_recipients(read_at);
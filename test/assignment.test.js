@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const assignment = require('../config/assignment');
+
+const rule = (overrides = {}) => assignment.normalizeRule({
+    id: 1, name: 'Rule', priority: 10, is_active: true, conditions: {}, operator_ids: [1, 2, 3], ...overrides
+});
+
+test('normalizeRule lower-cases conditions and drops invalid operator ids', () => {
+    const r = rule({ conditions: { types: 'Return, Exchange', carriers: ['Delhivery'] }, operator_ids: ['2', 2, 0, 'x', 5] });
+    assert.deepStrictEqual(r.conditions, { types: ['return', 'exchange'], carriers: ['delhivery'], reasons: [] });
+    assert.deepStrictEqual(r.operatorIds, [2, 5]);
+    assert.strictEqual(rule({ priority: 'abc' }).priority, 100);
+});
+
+test('validateRule rejects unknown types, missing operators and non-numeric priority', () => {
+    assert.strictEqual(assignment.validateRule({ name: 'A', operatorIds: [1] }), null);
+    assert.strictEqual(assignment.validateRule({ name: ' ', operatorIds: [1] }), 'Rule name is required');
+    assert.strictEqual(assignment.validateRule({ name: 'A', conditions: { types: ['refund'] }, operatorIds: [1] }), 'Unknown request type: refund');
+    assert.strictEqual(assignment.validateRule({ name: 'A', operatorIds: [] }), 'Pick at least one operator');
+    assert.strictEqual(assignment.validateRule({ name: 'A', operatorIds: [1], priority: 'high' }), 'Priority must be a number');
+});
+
+test('matchRule picks the first active matching rule by priority', () => {
+    const rules = [
+        rule({ id: 1, priority: 5, is_active: false }),
+        rule({ id: 2, priority: 20 }),
+        rule({ id: 3, priority: 10, conditions: { carriers: ['shiprocket'] } }),
+        rule({ id: 4, priority: 15, conditions: { types: ['exchange'], reasons: ['size issue'] } })
+    ];
+    assert.strictEqual(assignment.matchRule(rules, { type: 'return' }, 'shiprocket').id, 3);
+    assert.strictEqual(assignment.matchRule(rules, { type: 'exchange', reason: 'Size Issue' }, null).id, 4);
+    assert.strictEqual(assignment.matchRule(rules, { type: 'return' }, null).id, 2);
+    assert.strictEqual(assignment.matchRule([rules[0]], { type: 'return' }, null), null);
+});
+
+test('nextOperator rotates in rule order and skips inactive operators', () => {
+    const active = new Set([1, 3]);
+    assert.strictEqual(assignment.nextOperator([1, 2, 3], null, active), 1);
+    assert.strictEqual(assignment.nextOperator([1, 2, 3], 1, active), 3);
+    assert.strictEqual(assignment.nextOperator([1, 2, 3], 3, active), 1);
+    assert.strictEqual(assignment.nextOperator([1, 2, 3], 1, new Set()), null);
+});
+
+test('countWorkload counts only assigned requests in open statuses', () => {
+    const workload = assignment.countWorkload([
+        { assigned_operator_id: 1, status: 'pending' },
+        { assigned_operator_id: 1, status: 'pending' },
+        { assigned_operator_id: 1, status: 'inspected' },
+        { assigned_operator_id: 1, status: 'completed' },
+        { assigned_operator_id: null, status: 'pending' },
+        { assigned_operator_id: 2, status: 'rejected' }
+    ]);
+    assert.deepStrictEqual(workload, { 1: { open: 3, byStatus: { pending: 2, inspected: 1 } } });
+});
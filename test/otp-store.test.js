@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryOtpStore, createSupabaseOtpStore } = require('../config/otp-store');
+
+const PHONE = '9876543210';
+
+test('memory store enforces the resend cooldown and hourly limit', async () => {
+    const store = createMemoryOtpStore();
+    const first = await store.reserveSend(PHONE, { cooldownMs: 60000, maxSendsPerHour: 1 });
+    assert.strictEqual(first.ok, true);
+
+    const again = await store.reserveSend(PHONE, { cooldownMs: 60000, maxSendsPerHour: 1 });
+    assert.strictEqual(again.code, 'resend_too_soon');
+
+    await store.releaseSend(PHONE, first.sentAt);
+    assert.strictEqual((await store.reserveSend(PHONE, { cooldownMs: 0, maxSendsPerHour: 1 })).ok, true);
+    assert.strictEqual((await store.reserveSend(PHONE, { cooldownMs: 0, maxSendsPerHour: 1 })).code, 'send_limit');
+});
+
+test('memory store locks a challenge after the allowed attempts', async () => {
+    const store = createMemoryOtpStore();
+    await store.saveChallenge(PHONE, { sessionId: 's1', otpHash: 'h1', ttlMs: 60000 });
+
+    assert.strictEqual((await store.claimAttempt(PHONE, { maxAttempts: 2 })).state, 'ok');
+    assert.strictEqual((await store.claimAttempt(PHONE, { maxAttempts: 2 })).state, 'ok');
+    assert.strictEqual((await store.claimAttempt(PHONE, { maxAttempts: 2 })).state, 'locked');
+    assert.strictEqual((await store.claimAttempt(PHONE, { maxAttempts: 2 })).state, 'expired');
+});
+
+test('memory store consumes a challenge only once and only with the right hash', async () => {
+    const store = createMemoryOtpStore();
+    await store.saveChallenge(PHONE, { sessionId: 's1', otpHash: 'h1', ttlMs: 60000 });
+
+    assert.strictEqual(await store.consume(PHONE, { sessionId: 's1', otpHash: 'wrong' }), false);
+    assert.strictEqual(await store.consume(PHONE, { sessionId: 's1', otpHash: 'h1' }), true);
+    assert.strictEqual(await store.consume(PHONE, { sessionId: 's1', otpHash: 'h1' }), false);
+});
+
+test('supabase store falls back to memory while the migration is missing and retries the database', async () => {
+    let migrated = false;
+    const calls = [];
+    const supabase = {
+        rpc: async (fn) => {
+            calls.push(fn);
+            if (!migrated) return { data: null, error: { code: 'PGRST202', message: 'function not found' } };
+            return { data: true, error: null };
+        }
+    };
+    const store = createSupabaseOtpStore(supabase, { schemaRetryMs: 20 });
+    const warn = console.warn;
+    const log = console.log;
+    console.warn = () => {};
+    console.log = () => {};
+    try {
+        await store.saveChallenge(PHONE, { sessionId: 's1', otpHash: 'h1', ttlMs: 60000 });
+        assert.strictEqual(store.kind, 'memory');
+
+        // Inside the retry window the database is not asked again
+        assert.strictEqual(await store.consume(PHONE, { sessionId: 's1', otpHash: 'h1' }), true);
+        assert.strictEqual(calls.length, 1);
+
+        migrated = true;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        assert.strictEqual(await store.consume(PHONE, { sessionId: 's2', otpHash: 'h2' }), true);
+        assert.strictEqual(store.kind, 'supabase');
+        assert.deepStrictEqual(calls, ['otp_save_challenge', 'otp_consume']);
+    } finally {
+        console.warn = warn;
+        console.log = log;
+    }
+});
+
+test('supabase store rethrows errors other than a missing schema', async () => {
+    const supabase = { rpc: async () => ({ data: null, error: { code: '57014', message: 'timeout' } }) };
+    const store = createSupabaseOtpStore(supabase);
+    await assert.rejects(store.consume(PHONE, { sessionId: 's1', otpHash: 'h1' }), { code: '57014' });
+    assert.strictEqual(store.kind, 'supabase');
+});
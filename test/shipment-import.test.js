@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const shipmentImport = require('../config/shipment-import');
+
+test('parseCsv handles quotes, embedded line breaks, CRLF and blank lines', () => {
+    const csv = '\uFEFFOrder ID,Customer Name,AWB Code\r\n' +
+        'RET1,"Sharma, Asha",N/A\r\n' +
+        '\r\n' +
+        'RET2,"Line\nbreak ""quoted""",\'12345\'\n';
+    const { headers, rows } = shipmentImport.parseCsv(csv);
+    assert.deepStrictEqual(headers, ['Order ID', 'Customer Name', 'AWB Code']);
+    assert.deepStrictEqual(rows, [
+        { _line: 2, 'Order ID': 'RET1', 'Customer Name': 'Sharma, Asha', 'AWB Code': 'N/A' },
+        { _line: 4, 'Order ID': 'RET2', 'Customer Name': 'Line\nbreak "quoted"', 'AWB Code': '\'12345\'' }
+    ]);
+    assert.deepStrictEqual(shipmentImport.parseCsv(''), { headers: [], rows: [] });
+});
+
+test('guessMapping and normalizeMapping map only known fields to present headers', () => {
+    const headers = ['Order ID', 'AWB Code', 'Address Pincode', 'Extra'];
+    assert.deepStrictEqual(shipmentImport.guessMapping(headers), { requestId: 'Order ID', awb: 'AWB Code', pincode: 'Address Pincode' });
+    assert.deepStrictEqual(
+        shipmentImport.normalizeMapping({ requestId: 'Order ID', status: 'Missing', bogus: 'Extra' }, headers),
+        { requestId: 'Order ID' }
+    );
+});
+
+test('hasAwb treats Shiprocket placeholders as missing', () => {
+    assert.strictEqual(shipmentImport.hasAwb("'N/A'"), false);
+    assert.strictEqual(shipmentImport.hasAwb(' - '), false);
+    assert.strictEqual(shipmentImport.hasAwb(''), false);
+    assert.strictEqual(shipmentImport.hasAwb("'1234567890'"), true);
+});
+
+test('planImport books, skips and rejects rows', () => {
+    const mapping = { requestId: 'id', awb: 'awb', status: 'status', pincode: 'pin' };
+    const requestsById = new Map([
+        ['RET1', { status: 'pending', customerName: 'Asha', pincode: '110001' }],
+        ['RET2', { status: 'pending', awbNumber: 'AWB9' }],
+        ['RET3', { status: 'completed' }],
+        ['RET4', { status: 'pickup_pending' }],
+        ['RET5', { status: 'pending', pincode: '999999' }],
+        ['RET6', { status: 'pending', pickupRebookOn: '2026-03-12' }],
+        ['RET7', { status: 'pending' }],
+        ['RET8', { status: 'pending' }]
+    ]);
+    const rows = [
+        { _line: 2, id: 'ret1' },
+        { _line: 3, id: 'RET1' },
+        { _line: 4, id: '' },
+        { _line: 5, id: 'RET404' },
+        { _line: 6, id: 'RET2' },
+        { _line: 7, id: 'RET3' },
+        { _line: 8, id: 'RET4' },
+        { _line: 9, id: 'RET5' },
+        { _line: 10, id: 'RET6' },
+        { _line: 11, id: 'RET7', status: 'Cancelled' },
+        { _line: 12, id: 'RET8' }
+    ];
+    const plan = shipmentImport.planImport(rows, mapping, {
+        requestsById,
+        queuedRequestIds: new Set(['RET4']),
+        pincodeOf: request => request.pincode || null,
+        serviceable: pincode => (pincode === '999999' ? false : null)
+    });
+
+    assert.deepStrictEqual(plan.map(p => [p.line, p.action, p.reason]), [
+        [2, 'book', null],
+        [3, 'skip', 'Duplicate of line 2'],
+        [4, 'reject', 'No request ID'],
+        [5, 'reject', 'Request not found'],
+        [6, 'skip', 'Already booked (AWB AWB9)'],
+        [7, 'skip', 'Status is completed'],
+        [8, 'skip', 'Pickup booking already queued'],
+        [9, 'reject', 'Pincode 999999 not serviceable'],
+        [10, 'skip', 'Rescheduled by the customer for 2026-03-12'],
+        [11, 'skip', 'Cancelled in the CSV (Cancelled)'],
+        [12, 'book', null]
+    ]);
+    assert.strictEqual(plan[0].customerName, 'Asha');
+    assert.deepStrictEqual(shipmentImport.summarizePlan(plan), { total: 11, book: 2, skip: 6, reject: 3 });
+});
+
+test('planImport skips rows whose CSV already carries an AWB', () => {
+    const [row] = shipmentImport.planImport([{ _line: 2, id: 'RET1', awb: "'777'" }], { requestId: 'id', awb: 'awb' }, {
+        requestsById: new Map([['RET1', { status: 'pending' }]]),
+        queuedRequestIds: new Set(),
+        pincodeOf: () => null,
+        serviceable: () => true
+    });
+    assert.strictEqual(row.reason, 'Already booked in the CSV (AWB 777)');
+});
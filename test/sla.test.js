@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const sla = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const hoursAgo = h => new Date(NOW - h * HOUR_MS).toISOString();
+
+const rule = (overrides = {}) => sla.normalizeRule({
+    id: 1, name: 'Pickup within 48h', statuses: ['pickup_booked'], since: 'status', max_hours: 48, action: 'notify', ...overrides
+});
+
+test('validateRule checks statuses, hours and pickup-only actions', () => {
+    const base = { name: 'A', statuses: ['pickup_booked'], hours: 48 };
+    assert.strictEqual(sla.validateRule(base), null);
+    assert.strictEqual(sla.validateRule({ ...base, statuses: [] }), 'Pick at least one status');
+    assert.strictEqual(sla.validateRule({ ...base, statuses: ['completed'] }), 'Unknown status: completed');
+    assert.match(sla.validateRule({ ...base, hours: 0 }), /^Hours must be/);
+    assert.match(sla.validateRule({ ...base, hours: 1.5 }), /^Hours must be/);
+    assert.match(sla.validateRule({ ...base, statuses: ['delivered'], action: 'rebook' }), /^Re-attempt and rebook only apply/);
+});
+
+test('requestStages adds the exception stage only for open requests', () => {
+    assert.deepStrictEqual(sla.requestStages({ status: 'in_transit', carrierExceptionAt: hoursAgo(1) }), ['in_transit', 'exception']);
+    assert.deepStrictEqual(sla.requestStages({ status: 'completed', carrierExceptionAt: hoursAgo(1) }), ['completed']);
+});
+
+test('evaluateRequest reports a breach once the allowed hours have passed', () => {
+    const request = { status: 'pickup_booked', statusChangedAt: hoursAgo(50), createdAt: hoursAgo(100) };
+    const [breach] = sla.evaluateRequest(request, [rule()], 'shiprocket', NOW);
+    assert.strictEqual(breach.stage, 'pickup_booked');
+    assert.strictEqual(breach.overdueHours, 2);
+    assert.strictEqual(breach.dueAt, hoursAgo(2));
+
+    assert.deepStrictEqual(sla.evaluateRequest({ ...request, statusChangedAt: hoursAgo(10) }, [rule()], 'shiprocket', NOW), []);
+});
+
+test('evaluateRequest honours the clock anchor, carrier and active flag', () => {
+    const request = { status: 'in_transit', pickedUpAt: hoursAgo(200), statusChangedAt: hoursAgo(1) };
+    const transit = rule({ statuses: ['picked_up', 'in_transit'], since: 'picked_up', max_hours: 168 });
+    assert.strictEqual(sla.evaluateRequest(request, [transit], 'delhivery', NOW).length, 1);
+    assert.strictEqual(sla.evaluateRequest(request, [{ ...transit, carrier: 'ekart' }], 'delhivery', NOW).length, 0);
+    assert.strictEqual(sla.evaluateRequest(request, [{ ...transit, isActive: false }], 'delhivery', NOW).length, 0);
+
+    const exception = rule({ statuses: ['exception'], max_hours: 24 });
+    const stuck = { status: 'in_transit', carrierExceptionAt: hoursAgo(30), statusChangedAt: hoursAgo(1) };
+    assert.strictEqual(sla.evaluateRequest(stuck, [exception], null, NOW)[0].stage, 'exception');
+});
+
+test('formatHours and buildDigest', () => {
+    assert.strictEqual(sla.formatHours(7.9), '7h');
+    assert.strictEqual(sla.formatHours(53), '2d 5h');
+    assert.strictEqual(sla.buildDigest([], NOW), '');
+
+    const digest = sla.buildDigest([
+        { rule_name: 'Pickup', request_id: 'R1', stage: 'pickup_booked', carrier: 'shiprocket', due_at: hoursAgo(3), escalated_at: hoursAgo(1) },
+        { rule_name: 'Pickup', request_id: 'R2', stage: 'pickup_booked', carrier: null, due_at: hoursAgo(30) }
+    ], NOW);
+    assert.strictEqual(digest, [
+        '⏰ SLA digest: 2 open breach(es), 1 new',
+        '',
+        '*Pickup* (2)',
+        '• R2 · pickup_booked · 1d 6h over',
+        '• R1 · pickup_booked · shiprocket · 3h over'
+    ].join('\n'));
+});
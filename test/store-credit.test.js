@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const storeCredit = require('../config/store-credit');
+const { normalizeIndianPhone } = require('../config/otp-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T00:00:00Z');
+const inDays = d => new Date(NOW + d * DAY_MS).toISOString();
+
+const lots = [
+    { id: 'never', remaining: 100, expires_at: null, created_at: inDays(-30) },
+    { id: 'late', remaining: 50, expires_at: inDays(60), created_at: inDays(-20) },
+    { id: 'soon', remaining: 30, expires_at: inDays(10), created_at: inDays(-10) },
+    { id: 'expired', remaining: 500, expires_at: inDays(-1), created_at: inDays(-90) },
+    { id: 'spent', remaining: 0, expires_at: null, created_at: inDays(-5) }
+];
+
+test('normalizeEmail lower-cases valid addresses and refuses filter-breaking characters', () => {
+    assert.strictEqual(storeCredit.normalizeEmail('  Asha@Example.COM '), 'asha@example.com');
+    assert.strictEqual(storeCredit.normalizeEmail('not-an-email'), null);
+    assert.strictEqual(storeCredit.normalizeEmail('a@b.com,phone.eq.1'), null);
+    assert.strictEqual(storeCredit.normalizeEmail('a(b)@c.com'), null);
+});
+
+test('customerKey prefers a valid phone and falls back to email', () => {
+    assert.strictEqual(storeCredit.customerKey({ phone: '+91 98765 43210', email: 'a@b.com' }, normalizeIndianPhone), `phone:${normalizeIndianPhone('9876543210')}`);
+    assert.strictEqual(storeCredit.customerKey({ phone: '123', email: 'A@B.com' }, normalizeIndianPhone), 'email:a@b.com');
+    assert.strictEqual(storeCredit.customerKey({}, normalizeIndianPhone), null);
+});
+
+test('computeExpiry and bonusAmount', () => {
+    assert.strictEqual(storeCredit.computeExpiry(30, NOW), inDays(30));
+    assert.strictEqual(storeCredit.computeExpiry(0, NOW), null);
+    assert.strictEqual(storeCredit.bonusAmount(999, 10), 99.9);
+    assert.strictEqual(storeCredit.bonusAmount(100, 150), 100);
+    assert.strictEqual(storeCredit.bonusAmount(100, -5), 0);
+});
+
+test('allocateDebit draws from the earliest-expiring live lots first', () => {
+    assert.deepStrictEqual(storeCredit.allocateDebit(lots, 60, NOW), [
+        { id: 'soon', take: 30, previous: 30, remaining: 0 },
+        { id: 'late', take: 30, previous: 50, remaining: 20 }
+    ]);
+    assert.strictEqual(storeCredit.allocateDebit(lots, 180.01, NOW), null);
+});
+
+test('liveBalance and expiringSoon ignore expired and spent lots', () => {
+    assert.strictEqual(storeCredit.liveBalance(lots, NOW), 180);
+    assert.deepStrictEqual(storeCredit.expiringSoon(lots, 30, NOW), [{ amount: 30, expiresAt: inDays(10) }]);
+});